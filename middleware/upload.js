@@ -0,0 +1,46 @@
+// middleware/upload.js - Multipart image uploads
+const multer = require('multer');
+const { ACCEPTED_CONTENT_TYPES, MAX_IMAGE_SIZE, MAX_IMAGES_PER_REPORT } = require('../services/reportImages');
+
+// Files are kept in memory: they are re-encoded before anything is written to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+    files: MAX_IMAGES_PER_REPORT
+  },
+  fileFilter: (req, file, callback) => {
+    if (!ACCEPTED_CONTENT_TYPES.includes(file.mimetype)) {
+      const error = new Error('Images must be JPEG, PNG or WebP');
+      error.status = 415;
+      return callback(error);
+    }
+    callback(null, true);
+  }
+});
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `Images must be at most ${MAX_IMAGE_SIZE / (1024 * 1024)} MB`,
+  LIMIT_FILE_COUNT: `At most ${MAX_IMAGES_PER_REPORT} images can be uploaded at once`,
+  LIMIT_UNEXPECTED_FILE: 'Images must be sent in the "images" field'
+};
+
+// Accept up to MAX_IMAGES_PER_REPORT files in the `images` field of a multipart body.
+// JSON requests pass through untouched, with req.files left empty.
+const acceptImages = (req, res, next) => {
+  upload.array('images', MAX_IMAGES_PER_REPORT)(req, res, (error) => {
+    if (!error) {
+      req.files = req.files || [];
+      return next();
+    }
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: LIMIT_MESSAGES[error.code] || error.message });
+    }
+    res.status(error.status || 400).json({ error: error.message });
+  });
+};
+
+module.exports = {
+  acceptImages
+};
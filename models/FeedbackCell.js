@@ -0,0 +1,89 @@
+// models/FeedbackCell.js - Trip feedback aggregated per grid cell
+//
+// Sums are stored relative to `decayedAt`, fixed when the cell is created, so a cell
+// never has to keep its individual samples: reading decays the sums from then to now,
+// and a later sample is added with an atomic $inc, scaled up by the half-lives since.
+const mongoose = require('mongoose');
+
+const HALF_LIFE_DAYS = parseInt(process.env.FEEDBACK_HALF_LIFE_DAYS || '90');
+
+const feedbackCellSchema = new mongoose.Schema({
+  cell: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  center: {
+    lat: { type: Number, required: true },
+    lng: { type: Number, required: true }
+  },
+  weight: { type: Number, default: 0 }, // decayed number of samples
+  safeWeight: { type: Number, default: 0 }, // decayed samples where the user felt safe
+  ratingWeight: { type: Number, default: 0 }, // decayed samples that had a rating
+  ratingSum: { type: Number, default: 0 }, // decayed sum of ratings (1-5)
+  sampleCount: { type: Number, default: 0 }, // raw count, never decayed
+  // The first distinct users to give feedback, up to as many as scoring asks for
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  decayedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// The cell's sums decayed to `now`
+feedbackCellSchema.methods.getDecayed = function(now = new Date()) {
+  const days = Math.max(0, (now - this.decayedAt) / (24 * 60 * 60 * 1000));
+  const factor = Math.pow(0.5, days / HALF_LIFE_DAYS);
+
+  return {
+    weight: this.weight * factor,
+    safeWeight: this.safeWeight * factor,
+    ratingWeight: this.ratingWeight * factor,
+    ratingSum: this.ratingSum * factor
+  };
+};
+
+// Add one trip's feedback ({ feltSafe, rating }) to the cell `cell`, creating it at
+// `center` if needed. Atomic, so trips finishing together cannot overwrite each other.
+feedbackCellSchema.statics.addSample = async function(cell, center, { feltSafe, rating }, now = new Date()) {
+  const findOrCreate = () => this.findOneAndUpdate(
+    { cell },
+    { $setOnInsert: { center, decayedAt: now } },
+    { upsert: true, new: true }
+  ).select('decayedAt');
+
+  // Two trips creating the same cell at once: one insert wins, the other finds it
+  let stored;
+  try {
+    stored = await findOrCreate();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    stored = await findOrCreate();
+  }
+  const { decayedAt } = stored;
+
+  // Scaled up by the half-lives since decayedAt, so that it is back to full weight
+  // once the sums are decayed to now
+  const days = Math.max(0, (now - decayedAt) / (24 * 60 * 60 * 1000));
+  const growth = Math.pow(2, days / HALF_LIFE_DAYS);
+
+  await this.updateOne(
+    { cell },
+    {
+      $inc: {
+        weight: growth,
+        safeWeight: growth * (feltSafe === false ? 0 : feltSafe === true ? 1 : 0.5),
+        ratingWeight: rating ? growth : 0,
+        ratingSum: growth * (rating || 0),
+        sampleCount: 1
+      }
+    }
+  );
+};
+
+module.exports = mongoose.model('FeedbackCell', feedbackCellSchema);
@@ -0,0 +1,49 @@
+// models/GeoFeature.js - Imported geodata features (streetlights, police, CCTV, roads, waterlogging)
+const mongoose = require('mongoose');
+
+const geoFeatureSchema = new mongoose.Schema({
+  layer: {
+    type: String,
+    required: [true, 'Layer is required'],
+    enum: [
+      'streetlight',
+      'police-station',
+      'police-booth',
+      'cctv',
+      'road',
+      'waterlogging' // spots known to flood in heavy rain
+    ]
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point', 'LineString'],
+      required: true
+    },
+    coordinates: {
+      type: Array, // [longitude, latitude] for points, [[lng, lat], ...] for lines
+      required: true
+    }
+  },
+  name: String,
+  // Road class for 'road' features (primary, secondary, residential, ...)
+  roadClass: String,
+  // Any other attributes carried over from the source dataset
+  properties: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  source: {
+    type: String,
+    required: [true, 'Source is required'],
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Create geospatial index for corridor queries
+geoFeatureSchema.index({ layer: 1, location: '2dsphere' });
+geoFeatureSchema.index({ layer: 1, source: 1 });
+
+module.exports = mongoose.model('GeoFeature', geoFeatureSchema);
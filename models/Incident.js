@@ -0,0 +1,41 @@
+// models/Incident.js - One real-world incident or condition, reported by one or more users
+const mongoose = require('mongoose');
+
+const incidentSchema = new mongoose.Schema({
+  reportType: {
+    type: String,
+    required: true
+  },
+  // Where it was first reported; later reports must fall near this point to join
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  // Span of the reports' times of incident
+  timeFrom: {
+    type: Date,
+    required: true
+  },
+  timeTo: {
+    type: Date,
+    required: true
+  },
+  reportCount: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true
+});
+
+incidentSchema.index({ location: '2dsphere' });
+incidentSchema.index({ reportType: 1, timeTo: -1 });
+
+module.exports = mongoose.model('Incident', incidentSchema);
@@ -0,0 +1,40 @@
+// models/ModerationAction.js - Audit trail of moderator decisions on safety reports
+const mongoose = require('mongoose');
+
+const moderationActionSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SafetyReport',
+    required: true
+  },
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['verify', 'dismiss', 'resolve'],
+    required: true
+  },
+  fromStatus: {
+    type: String,
+    required: true
+  },
+  toStatus: {
+    type: String,
+    required: true
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+moderationActionSchema.index({ report: 1, createdAt: 1 });
+moderationActionSchema.index({ moderator: 1, createdAt: -1 });
+moderationActionSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
@@ -1,5 +1,9 @@
 // models/Route.js - Route model for storing calculated safe routes
 const mongoose = require('mongoose');
+const { FACTORS, resolveProfile, scoreFactors } = require('../services/scoring');
+const { toFeatureCollection } = require('../services/routeSegments');
+const { decodePolyline } = require('../utils/polyline');
+const { DEFAULT_TIME_ZONE } = require('../utils/timeZone');
 
 const routeSchema = new mongoose.Schema({
   userId: {
@@ -32,7 +36,12 @@ const routeSchema = new mongoose.Schema({
       lat: Number,
       lng: Number
     },
-    address: String
+    address: String,
+    type: {
+      type: String,
+      enum: ['stop', 'avoidance'], // avoidance waypoints steer a detour around a hotspot
+      default: 'stop'
+    }
   }],
   routeData: {
     distance: {
@@ -48,6 +57,7 @@ const routeSchema = new mongoose.Schema({
       required: true
     },
     steps: [{
+      legIndex: Number, // leg of a multi-stop route this step belongs to
       instruction: String,
       distance: Number,
       duration: Number,
@@ -58,6 +68,27 @@ const routeSchema = new mongoose.Schema({
       endLocation: {
         lat: Number,
         lng: Number
+      },
+      travelMode: String,
+      transit: {
+        line: String,
+        vehicleType: String,
+        departureStop: {
+          name: String,
+          location: {
+            lat: Number,
+            lng: Number
+          }
+        },
+        arrivalStop: {
+          name: String,
+          location: {
+            lat: Number,
+            lng: Number
+          }
+        },
+        numStops: Number,
+        waitTime: Number // in seconds
       }
     }]
   },
@@ -76,13 +107,138 @@ const routeSchema = new mongoose.Schema({
       pedestrianTraffic: { type: Number, min: 0, max: 10, default: 5 },
       roadCondition: { type: Number, min: 0, max: 10, default: 5 },
       communityReports: { type: Number, min: 0, max: 10, default: 5 }
+    },
+    // Factor weights used for this score (travel mode and the user's profile)
+    weights: {
+      lighting: Number,
+      policePresence: Number,
+      crimeRate: Number,
+      pedestrianTraffic: Number,
+      roadCondition: Number,
+      communityReports: Number
+    },
+    profile: String, // safety profile preset
+    // What each scoring step changed, in order; a factor's starting value is its
+    // final value less these changes (see services/routeExplanation.js)
+    adjustments: [{
+      _id: false,
+      factor: String,
+      source: {
+        type: String,
+        enum: ['geodata', 'safe-havens', 'weather', 'waterlogging', 'reports', 'feedback', 'boarding-stops', 'limits']
+      },
+      change: Number
+    }],
+    // Geodata measured along the route
+    geodata: {
+      streetlights: Number,
+      streetlightsPer100m: Number,
+      cctvCameras: Number,
+      cctvPerKm: Number,
+      policeStations: Number,
+      policeBooths: Number,
+      roadClasses: { type: Map, of: Number }, // share of the route per road class
+      mainRoadShare: Number,
+      residentialShare: Number,
+      safeHavens: Number,
+      openSafeHavens: Number
+    },
+    // Completed-trip feedback along the route: qualifying grid cells and the
+    // communityReports adjustment they made
+    feedback: {
+      cells: Number,
+      impact: Number
     }
   },
+  // One leg per stretch between stops; a route without stops has a single leg
+  legs: [{
+    _id: false,
+    startAddress: String,
+    endAddress: String,
+    startLocation: {
+      lat: Number,
+      lng: Number
+    },
+    endLocation: {
+      lat: Number,
+      lng: Number
+    },
+    distance: Number, // in meters
+    duration: Number, // in seconds
+    startDistance: Number, // meters along the polyline
+    endDistance: Number,
+    safetyScore: Number,
+    reportCount: Number,
+    hotspotCount: Number
+  }],
+  // Scored stretches of the decoded polyline (point index ranges)
+  segments: [{
+    _id: false,
+    startIndex: Number,
+    endIndex: Number,
+    startDistance: Number, // meters from the origin
+    endDistance: Number,
+    safetyScore: Number,
+    feedbackImpact: Number, // from completed-trip feedback in the segment's grid cells
+    waterlogging: Boolean, // passes a waterlogging spot while it is raining
+    reports: [{
+      _id: false,
+      reportId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SafetyReport'
+      },
+      reportType: String,
+      severity: String,
+      reporters: Number, // people who reported the incident, see services/incidents.js
+      impact: Number
+    }]
+  }],
+  hotspots: [{
+    _id: false,
+    location: {
+      lat: Number,
+      lng: Number
+    },
+    radius: Number, // in meters
+    impact: Number,
+    reports: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SafetyReport'
+    }],
+    reportTypes: [String],
+    distanceFromStart: Number // in meters
+  }],
+  // Safe havens within reach of the route, in the order they are passed
+  safeHavens: [{
+    _id: false,
+    haven: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SafeHaven'
+    },
+    name: String,
+    category: String,
+    address: String,
+    phone: String,
+    location: {
+      lat: Number,
+      lng: Number
+    },
+    openingHours: String,
+    distanceFromRoute: Number, // in meters
+    distanceFromStart: Number,
+    passAt: Date, // estimated, from the departure time and the route's pace
+    isOpen: Boolean // at passAt; unset when the opening hours are unknown
+  }],
   routeType: {
     type: String,
     enum: ['safest', 'fastest', 'balanced'],
     required: true
   },
+  travelMode: {
+    type: String,
+    enum: ['walk', 'two-wheeler', 'transit', 'drive'],
+    default: 'drive'
+  },
   tags: [{
     type: String,
     enum: [
@@ -103,16 +259,61 @@ const routeSchema = new mongoose.Schema({
     safetyScore: Number,
     polyline: String
   }],
+  detour: {
+    baseRoute: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Route'
+    },
+    avoidedHotspots: Number,
+    extraDistance: Number, // in meters
+    extraDuration: Number, // in seconds
+    safetyGain: Number
+  },
+  // Set when this route was proposed mid-journey to replace another
+  reroute: {
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Route'
+    },
+    reason: {
+      type: String,
+      enum: ['off-route', 'new-reports']
+    },
+    // Score of the rest of the replaced route when new reports were weighed against it
+    remainingSafetyScore: Number
+  },
+  // Expected at departure (services/weather); unset when no provider had data
   weatherConditions: {
-    temperature: Number,
+    temperature: Number, // in °C
     condition: String,
-    visibility: String
+    visibility: {
+      type: String,
+      enum: ['good', 'moderate', 'poor']
+    },
+    visibilityMeters: Number,
+    precipitation: Number, // in mm per hour
+    waterloggedSegments: Number
+  },
+  departAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Time zone of the trip; times of day and opening hours are read in it
+  timeZone: {
+    type: String,
+    default: DEFAULT_TIME_ZONE
   },
   timeOfDay: {
     type: String,
     enum: ['morning', 'afternoon', 'evening', 'night', 'late-night'],
     required: true
   },
+  // Cached calculation this route came from, so repeat requests reuse the document
+  calculation: {
+    key: String,
+    createdAt: Date,
+    index: Number
+  },
   isSaved: {
     type: Boolean,
     default: false
@@ -129,7 +330,8 @@ const routeSchema = new mongoose.Schema({
       max: 5
     },
     comment: String,
-    feltSafe: Boolean
+    feltSafe: Boolean,
+    aggregatedAt: Date // when it was added to the area feedback cells
   }
 }, {
   timestamps: true
@@ -140,27 +342,41 @@ routeSchema.index({ userId: 1, createdAt: -1 });
 routeSchema.index({ 'origin.coordinates.lat': 1, 'origin.coordinates.lng': 1 });
 routeSchema.index({ 'destination.coordinates.lat': 1, 'destination.coordinates.lng': 1 });
 routeSchema.index({ safetyScore: -1 });
+routeSchema.index({ userId: 1, 'calculation.key': 1, 'calculation.createdAt': 1 });
+routeSchema.index({ 'reroute.from': 1, createdAt: -1 });
+
+// Factor weights the route was scored with, or the travel mode's defaults
+routeSchema.methods.getScoringWeights = function() {
+  const stored = this.safetyScore.weights || {};
+  if (stored.lighting === undefined) return resolveProfile({}, this.travelMode).weights;
+
+  const weights = {};
+  FACTORS.forEach(factor => {
+    weights[factor] = stored[factor];
+  });
+  return weights;
+};
 
 // Calculate overall safety score based on factors
-routeSchema.methods.calculateSafetyScore = function() {
-  const weights = {
-    lighting: 0.20,
-    policePresence: 0.20,
-    crimeRate: 0.25,
-    pedestrianTraffic: 0.15,
-    roadCondition: 0.10,
-    communityReports: 0.10
-  };
-  
-  let score = 0;
-  for (const [factor, weight] of Object.entries(weights)) {
-    score += this.safetyScore.factors[factor] * weight;
-  }
-  
-  this.safetyScore.overall = Math.round(score * 10) / 10;
+routeSchema.methods.calculateSafetyScore = function(weights = this.getScoringWeights()) {
+  this.safetyScore.overall = scoreFactors(this.safetyScore.factors, weights);
   return this.safetyScore.overall;
 };
 
+// GeoJSON FeatureCollection of the stored safety segments and hotspots
+routeSchema.methods.getSegmentFeatures = function() {
+  const hotspots = this.hotspots.map(hotspot => ({
+    center: hotspot.location,
+    radius: hotspot.radius,
+    impact: hotspot.impact,
+    reportIds: hotspot.reports,
+    reportTypes: hotspot.reportTypes,
+    distanceFromStart: hotspot.distanceFromStart
+  }));
+
+  return toFeatureCollection(decodePolyline(this.routeData.polyline), this.segments, hotspots);
+};
+
 // Get time of day based on hour
 routeSchema.statics.getTimeOfDay = function(hour) {
   if (hour >= 6 && hour < 12) return 'morning';
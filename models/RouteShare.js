@@ -0,0 +1,71 @@
+// models/RouteShare.js - Read-only links to a route for trusted contacts
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const routeShareSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  // Only a hash is stored; the token itself is shown once, when the link is created
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  label: {
+    type: String,
+    maxlength: 100
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date
+}, {
+  timestamps: true
+});
+
+routeShareSchema.index({ route: 1, userId: 1 });
+// Expired links are kept for a month so they answer "expired" rather than "not found"
+routeShareSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Whether the link can still be viewed
+routeShareSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+// Create a share for a route. Resolves to { share, token }.
+routeShareSchema.statics.createForRoute = async function(route, { expiresIn, label }) {
+  const token = crypto.randomBytes(24).toString('hex');
+  const share = new this({
+    userId: route.userId,
+    route: route._id,
+    tokenHash: hashToken(token),
+    label,
+    expiresAt: new Date(Date.now() + expiresIn * 1000)
+  });
+
+  await share.save();
+  return { share, token };
+};
+
+// Find a share by the token from its link
+routeShareSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+module.exports = mongoose.model('RouteShare', routeShareSchema);
@@ -0,0 +1,121 @@
+// models/SafeHaven.js - Places to head for when feeling unsafe (police, hospitals, late shops)
+const mongoose = require('mongoose');
+const { corridorFilter } = require('../utils/geo');
+const { isOpenAt } = require('../utils/openingHours');
+
+const CATEGORIES = [
+  'police-station',
+  'hospital',
+  '24h-shop',
+  'metro-station',
+  'help-desk' // women's help desks
+];
+
+const safeHavenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    enum: CATEGORIES
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  address: String,
+  phone: String,
+  // Parsed from an OpenStreetMap-style string, see utils/openingHours.js; no periods or
+  // off days means unknown
+  openingHours: {
+    alwaysOpen: Boolean,
+    periods: [{
+      _id: false,
+      day: { type: Number, min: 0, max: 6 }, // 0 is Sunday
+      open: Number, // minutes after midnight
+      close: Number // at or before `open`: closes the next day
+    }],
+    offDays: [{ type: Number, min: 0, max: 6 }], // marked "off": closed all day
+    text: String
+  },
+  // Checked by an admin; help desks are only listed once verified
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verifiedAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Import source, or 'admin' for places added by hand
+  source: {
+    type: String,
+    required: [true, 'Source is required'],
+    trim: true
+  },
+  sourceId: String, // the place's id in the source dataset, when it has one
+  // Set when an admin edits a place, so re-importing its source keeps the edit
+  curatedAt: Date,
+  curatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+safeHavenSchema.index({ location: '2dsphere' });
+safeHavenSchema.index({ source: 1, sourceId: 1 });
+
+// Filter for places that may be shown to users
+const listedFilter = () => ({
+  isActive: true,
+  $or: [{ category: { $ne: 'help-desk' } }, { verified: true }]
+});
+
+// Whether the place is open at `date`; null when its hours are unknown
+safeHavenSchema.methods.isOpenAt = function(date = new Date(), timeZone) {
+  return isOpenAt(this.openingHours, date, timeZone);
+};
+
+// Listed places within `radius` meters of [lng, lat], nearest first
+safeHavenSchema.statics.findNear = function(coordinates, radius = 5000, { categories } = {}) {
+  const query = {
+    ...listedFilter(),
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates },
+        $maxDistance: radius
+      }
+    }
+  };
+  if (categories) query.category = { $in: categories };
+
+  return this.find(query);
+};
+
+// Listed places in a corridor around a route; callers filter by exact distance
+safeHavenSchema.statics.findAlongRoute = function(routePoints, radius = 300) {
+  if (routePoints.length === 0) return Promise.resolve([]);
+
+  return this.find({
+    $and: [listedFilter(), corridorFilter('location', routePoints, radius)]
+  });
+};
+
+module.exports = mongoose.model('SafeHaven', safeHavenSchema);
@@ -1,5 +1,7 @@
 // models/SafetyReport.js - Safety report model for community reporting
 const mongoose = require('mongoose');
+const { corridorFilter, distanceToPath } = require('../utils/geo');
+const { MIN_REPORT_WEIGHT, reportWeight, currentReportsFilter } = require('../services/reportWeighting');
 
 const safetyReportSchema = new mongoose.Schema({
   userId: {
@@ -52,8 +54,15 @@ const safetyReportSchema = new mongoose.Schema({
     enum: ['low', 'medium', 'high', 'critical'],
     default: 'medium'
   },
+  // Photo evidence, stored without metadata (services/reportImages.js)
   images: [{
-    url: String,
+    url: String, // external photos; uploads are served from the API instead
+    key: String, // storage key of the original
+    thumbnailKey: String,
+    contentType: String,
+    size: Number, // in bytes
+    width: Number,
+    height: Number,
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -61,9 +70,18 @@ const safetyReportSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['pending', 'verified', 'resolved', 'dismissed'],
+    // 'held': from a new or low-reputation account, not shown or counted until reviewed
+    enum: ['held', 'pending', 'verified', 'resolved', 'dismissed'],
     default: 'pending'
   },
+  // How much the reporter's word counts (0-1), kept in step with their reputation
+  // (services/reputation.js)
+  reporterTrust: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 1
+  },
   verification: {
     verifiedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -111,12 +129,20 @@ const safetyReportSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Other reports of the same thing share an incident (services/incidents.js)
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident'
+  },
   affectedArea: {
     radius: {
       type: Number, // in meters
       default: 500
     }
   },
+  // Set when the author deletes a report that is part of their track record
+  // (services/reputation.js); it is kept for their reputation but hidden everywhere else
+  deletedAt: Date,
   resolved: {
     isResolved: {
       type: Boolean,
@@ -135,9 +161,15 @@ safetyReportSchema.index({ location: '2dsphere' });
 safetyReportSchema.index({ reportType: 1, status: 1 });
 safetyReportSchema.index({ timeOfIncident: -1 });
 safetyReportSchema.index({ userId: 1 });
+safetyReportSchema.index({ incident: 1 });
 
-// Calculate safety score impact based on report
-safetyReportSchema.methods.calculateSafetyImpact = function() {
+// How much the report counts at `now` (0-1), by its age, status and reporter trust
+safetyReportSchema.methods.getWeight = function(now = new Date()) {
+  return reportWeight(this, now);
+};
+
+// Calculate safety score impact based on report, faded by its weight
+safetyReportSchema.methods.calculateSafetyImpact = function(now = new Date()) {
   const severityWeights = {
     'low': -0.5,
     'medium': -1.5,
@@ -156,12 +188,19 @@ safetyReportSchema.methods.calculateSafetyImpact = function() {
     'Other': 1.0
   };
   
-  return severityWeights[this.severity] * typeWeights[this.reportType];
+  return severityWeights[this.severity] * typeWeights[this.reportType] * this.getWeight(now);
 };
 
-// Get reports near a location
-safetyReportSchema.statics.findNearby = function(coordinates, maxDistance = 5000) {
-  return this.find({
+const NEARBY_HEADROOM = 2; // reports read per report asked for, as some no longer count
+
+// Keep reports that still count at `now`
+const stillCounting = (reports, now) => reports.filter(report => report.getWeight(now) >= MIN_REPORT_WEIGHT);
+
+// Get reports near a location that still count, nearest first. With `limit`, only the
+// most recent reports are read (with headroom for those that no longer count), newest
+// first, and at most `limit` of them are kept.
+safetyReportSchema.statics.findNearby = async function(coordinates, maxDistance = 5000, now = new Date(), { limit } = {}) {
+  const query = this.find({
     location: {
       $near: {
         $geometry: {
@@ -171,8 +210,29 @@ safetyReportSchema.statics.findNearby = function(coordinates, maxDistance = 5000
         $maxDistance: maxDistance
       }
     },
-    status: { $in: ['verified', 'pending'] }
-  }).sort({ timeOfIncident: -1 });
+    ...currentReportsFilter(now)
+  });
+  if (!limit) return stillCounting(await query, now);
+
+  const reports = await query.sort({ timeOfIncident: -1 }).limit(limit * NEARBY_HEADROOM);
+  return stillCounting(reports, now).slice(0, limit);
+};
+
+// Get reports that still count within a corridor around a route ([{ lat, lng }] points)
+// in a single query
+safetyReportSchema.statics.findAlongRoute = async function(routePoints, radius = 300, now = new Date()) {
+  if (routePoints.length === 0) return [];
+
+  const reports = await this.find({
+    ...corridorFilter('location', routePoints, radius),
+    ...currentReportsFilter(now)
+  });
+  // The corridor query over-reaches a little; keep only reports within `radius`
+  const alongRoute = reports.filter(report => {
+    const [lng, lat] = report.location.coordinates;
+    return distanceToPath({ lat, lng }, routePoints) <= radius;
+  });
+  return stillCounting(alongRoute, now);
 };
 
 module.exports = mongoose.model('SafetyReport', safetyReportSchema);
@@ -0,0 +1,189 @@
+// models/Trip.js - A journey actually taken along a calculated route
+const mongoose = require('mongoose');
+const { haversineDistance } = require('../utils/geo');
+
+const MAX_TRAIL_POINTS = 2000; // oldest points are dropped beyond this
+const STATIONARY_RADIUS = 30; // meters; moving less than this does not count as moving
+
+const minutes = (count) => count * 60 * 1000;
+
+const tripSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  travelMode: String,
+  status: {
+    type: String,
+    enum: ['active', 'arrived', 'abandoned'],
+    default: 'active'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Planned arrival: start time plus the route's expected duration
+  expectedArrivalAt: {
+    type: Date,
+    required: true
+  },
+  // Latest estimate from the remaining distance at the last progress ping
+  eta: Date,
+  arrivedAt: Date,
+  abandonedAt: Date,
+  abandonReason: String,
+  trail: [{
+    location: {
+      lat: { type: Number, required: true },
+      lng: { type: Number, required: true }
+    },
+    accuracy: Number, // in meters
+    onRoute: Boolean,
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  lastPing: {
+    location: {
+      lat: Number,
+      lng: Number
+    },
+    recordedAt: Date,
+    distanceRemaining: Number, // in meters
+    onRoute: Boolean
+  },
+  // Last time the user was seen more than STATIONARY_RADIUS from where they had been
+  lastMoved: {
+    location: {
+      lat: Number,
+      lng: Number
+    },
+    at: Date
+  },
+  // Arrival monitoring settings, copied from the user's preferences at start
+  safetySettings: {
+    enabled: { type: Boolean, default: true },
+    overdueGraceMinutes: { type: Number, default: 15 },
+    stationaryMinutes: { type: Number, default: 10 },
+    confirmationMinutes: { type: Number, default: 5 }
+  },
+  safetyCheck: {
+    status: {
+      type: String,
+      enum: ['monitoring', 'awaiting-confirmation', 'escalated', 'off'],
+      default: 'monitoring'
+    },
+    reason: {
+      type: String,
+      enum: ['overdue', 'stationary']
+    },
+    // When the monitor next needs to look at this trip; persisted so checks survive restarts
+    nextCheckAt: Date,
+    promptedAt: Date,
+    respondBy: Date,
+    confirmedAt: Date,
+    snoozedUntil: Date,
+    escalatedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+tripSchema.index({ userId: 1, status: 1 });
+// One trip in progress per user, even when two starts race
+tripSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+tripSchema.index({ userId: 1, startedAt: -1 });
+tripSchema.index({ status: 1, 'safetyCheck.nextCheckAt': 1 });
+
+// Record a progress ping ({ location, accuracy, onRoute, distanceRemaining, eta })
+tripSchema.methods.recordPing = function({ location, accuracy, onRoute, distanceRemaining, eta }, at = new Date()) {
+  this.trail.push({ location, accuracy, onRoute, recordedAt: at });
+  if (this.trail.length > MAX_TRAIL_POINTS) {
+    this.trail.splice(0, this.trail.length - MAX_TRAIL_POINTS);
+  }
+
+  this.lastPing = { location, recordedAt: at, distanceRemaining, onRoute };
+  this.eta = eta;
+
+  const moved = this.lastMoved && this.lastMoved.at;
+  if (!moved || haversineDistance(this.lastMoved.location, location) > STATIONARY_RADIUS) {
+    this.lastMoved = { location, at };
+  }
+  this.scheduleSafetyCheck();
+};
+
+// Why the user should be asked to confirm they are safe at `now`, if at all
+tripSchema.methods.getSafetyCheckReason = function(now = new Date()) {
+  const settings = this.safetySettings;
+  if (!settings.enabled || this.safetyCheck.status !== 'monitoring') return null;
+  if (this.safetyCheck.snoozedUntil && now < this.safetyCheck.snoozedUntil) return null;
+
+  const arrival = this.eta || this.expectedArrivalAt;
+  if (now >= arrival.getTime() + minutes(settings.overdueGraceMinutes)) return 'overdue';
+
+  const lastMovedAt = (this.lastMoved && this.lastMoved.at) || this.startedAt;
+  if (now >= lastMovedAt.getTime() + minutes(settings.stationaryMinutes)) return 'stationary';
+
+  return null;
+};
+
+// Set when the monitor next needs to look at this trip
+tripSchema.methods.scheduleSafetyCheck = function() {
+  const { status, respondBy, snoozedUntil } = this.safetyCheck;
+  const settings = this.safetySettings;
+
+  if (this.status !== 'active' || !settings.enabled || status === 'escalated' || status === 'off') {
+    this.safetyCheck.nextCheckAt = undefined;
+    return;
+  }
+  if (status === 'awaiting-confirmation') {
+    this.safetyCheck.nextCheckAt = respondBy;
+    return;
+  }
+
+  const arrival = this.eta || this.expectedArrivalAt;
+  const lastMovedAt = (this.lastMoved && this.lastMoved.at) || this.startedAt;
+  const next = Math.min(
+    arrival.getTime() + minutes(settings.overdueGraceMinutes),
+    lastMovedAt.getTime() + minutes(settings.stationaryMinutes)
+  );
+  this.safetyCheck.nextCheckAt = new Date(Math.max(next, snoozedUntil ? snoozedUntil.getTime() : 0));
+};
+
+// Ask the user to confirm they are safe
+tripSchema.methods.promptSafetyCheck = function(reason, now = new Date()) {
+  this.safetyCheck.status = 'awaiting-confirmation';
+  this.safetyCheck.reason = reason;
+  this.safetyCheck.promptedAt = now;
+  this.safetyCheck.respondBy = new Date(now.getTime() + minutes(this.safetySettings.confirmationMinutes));
+  this.scheduleSafetyCheck();
+};
+
+// The user confirmed they are safe: leave them be for another grace period
+tripSchema.methods.confirmSafe = function(now = new Date()) {
+  this.safetyCheck.status = 'monitoring';
+  this.safetyCheck.confirmedAt = now;
+  this.safetyCheck.respondBy = undefined;
+  this.safetyCheck.snoozedUntil = new Date(now.getTime() + minutes(this.safetySettings.overdueGraceMinutes));
+  this.scheduleSafetyCheck();
+};
+
+// Minutes late (negative when early) against the planned arrival
+tripSchema.methods.getDelayMinutes = function(at = this.arrivedAt || new Date()) {
+  return Math.round((at - this.expectedArrivalAt) / 60000);
+};
+
+// Get the user's trip in progress, if any
+tripSchema.statics.findActive = function(userId) {
+  return this.findOne({ userId, status: 'active' });
+};
+
+module.exports = mongoose.model('Trip', tripSchema);
@@ -2,6 +2,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
+const { PRESETS } = require('../services/scoring');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -99,6 +100,32 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['safest', 'fastest', 'balanced'],
       default: 'safest'
+    },
+    // Safety factor weighting: a named preset with optional per-factor
+    // importance overrides (0-5, 1 = neutral) and the safety share of 'balanced' ordering
+    safetyProfile: {
+      preset: {
+        type: String,
+        enum: Object.keys(PRESETS),
+        default: 'default'
+      },
+      importance: {
+        lighting: { type: Number, min: 0, max: 5 },
+        policePresence: { type: Number, min: 0, max: 5 },
+        crimeRate: { type: Number, min: 0, max: 5 },
+        pedestrianTraffic: { type: Number, min: 0, max: 5 },
+        roadCondition: { type: Number, min: 0, max: 5 },
+        communityReports: { type: Number, min: 0, max: 5 }
+      },
+      balance: { type: Number, min: 0, max: 1 }
+    },
+    // Arrival monitoring during trips: ask the user to confirm they are safe when
+    // overdue or stationary, then alert emergency contacts if they do not answer
+    tripSafety: {
+      enabled: { type: Boolean, default: true },
+      overdueGraceMinutes: { type: Number, min: 1, max: 240, default: 15 },
+      stationaryMinutes: { type: Number, min: 2, max: 120, default: 10 },
+      confirmationMinutes: { type: Number, min: 1, max: 30, default: 5 }
     }
   },
   location: {
@@ -120,6 +147,17 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Track record as a reporter (services/reputation.js): moderator decisions on the
+  // user's reports and votes from others (weighted by the voter's trust), refreshed as
+  // they come in
+  reputation: {
+    score: { type: Number, min: 0, max: 1, default: 0.5 },
+    confirmedReports: { type: Number, default: 0 },
+    dismissedReports: { type: Number, default: 0 },
+    helpfulVotes: { type: Number, default: 0 },
+    notHelpfulVotes: { type: Number, default: 0 },
+    updatedAt: Date
+  },
   role: {
     type: String,
     enum: ['user', 'admin', 'moderator'],
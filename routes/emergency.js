@@ -2,7 +2,18 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const SafeHaven = require('../models/SafeHaven');
 const { authenticateToken } = require('../middleware/auth');
+const { sendEmergencyAlert } = require('../services/emergency');
+const { haversineDistance } = require('../utils/geo');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('../utils/timeZone');
+
+// Safe haven categories behind each /nearby-services type; any single category also works
+const NEARBY_SERVICE_TYPES = {
+  police: ['police-station', 'help-desk'],
+  hospital: ['hospital'],
+  all: ['police-station', 'help-desk', 'hospital', '24h-shop', 'metro-station']
+};
 
 // Trigger SOS emergency alert
 router.post('/sos', authenticateToken, async (req, res) => {
@@ -18,55 +29,12 @@ router.post('/sos', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Prepare emergency alert data
-    const alertData = {
-      userId: user._id,
-      userName: `${user.firstName} ${user.lastName}`,
-      userPhone: user.phone,
-      location: {
-        lat: location.lat,
-        lng: location.lng,
-        address: location.address || 'Address not available'
-      },
-      message: message || 'Emergency SOS triggered',
-      timestamp: new Date().toISOString()
-    };
-
-    // Send alerts to emergency contacts
-    if (user.emergencyContacts && user.emergencyContacts.length > 0) {
-      // In production, implement actual SMS/Call services here
-      // Using Twilio or similar service
-      console.log('Sending emergency alerts to:', user.emergencyContacts);
-      
-      // Example Twilio implementation:
-      // const twilio = require('twilio');
-      // const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-      // 
-      // for (const contact of user.emergencyContacts) {
-      //   await client.messages.create({
-      //     body: `EMERGENCY ALERT: ${user.firstName} ${user.lastName} needs help! Location: ${location.address}. View live location: [LINK]`,
-      //     from: process.env.TWILIO_PHONE_NUMBER,
-      //     to: contact.phone
-      //   });
-      // }
-    }
-
-    // Broadcast to nearby users via WebSocket
-    const io = req.app.get('io');
-    io.emit('emergency-alert', {
-      type: 'sos',
-      location: alertData.location,
-      severity: 'critical',
-      timestamp: alertData.timestamp
-    });
-
-    // Log the emergency event
-    console.log('SOS ALERT TRIGGERED:', alertData);
+    const { alertsSent } = await sendEmergencyAlert(req.app.get('io'), user, { location, message });
 
     res.json({
       success: true,
       message: 'Emergency alert sent successfully',
-      alertsSent: user.emergencyContacts?.length || 0
+      alertsSent
     });
   } catch (error) {
     console.error('SOS error:', error);
@@ -227,34 +195,45 @@ router.delete('/contacts/:contactId', authenticateToken, async (req, res) => {
   }
 });
 
-// Get nearby police stations/hospitals
+// Get nearby police stations, hospitals and other safe havens
+// (?type=police|hospital|all or a category; &timeZone= for opening hours)
 router.get('/nearby-services', authenticateToken, async (req, res) => {
   try {
-    const { lat, lng, type = 'police' } = req.query;
+    const { type = 'police', timeZone = DEFAULT_TIME_ZONE } = req.query;
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
 
-    if (!lat || !lng) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
       return res.status(400).json({ error: 'Location is required' });
     }
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: 'timeZone must be a time zone name such as Asia/Kolkata' });
+    }
 
-    // In production, use Google Places API
-    const axios = require('axios');
-    
-    const response = await axios.get('https://maps.googleapis.com/maps/api/place/nearbysearch/json', {
-      params: {
-        location: `${lat},${lng}`,
-        radius: 5000,
-        type: type === 'police' ? 'police' : 'hospital',
-        key: process.env.GOOGLE_MAPS_API_KEY
-      }
-    });
+    const categories = NEARBY_SERVICE_TYPES[type] || [type];
+    const validCategories = SafeHaven.schema.path('category').enumValues;
+    if (!categories.every(category => validCategories.includes(category))) {
+      return res.status(400).json({
+        error: `Type must be one of: ${[...new Set([...Object.keys(NEARBY_SERVICE_TYPES), ...validCategories])].join(', ')}`
+      });
+    }
 
-    const services = response.data.results.map(place => ({
-      name: place.name,
-      address: place.vicinity,
-      location: place.geometry.location,
-      rating: place.rating,
-      isOpen: place.opening_hours?.open_now
-    }));
+    // Served from the curated safe haven collection, nearest first
+    const now = new Date();
+    const havens = await SafeHaven.findNear([lng, lat], 5000, { categories });
+
+    const services = havens.map(haven => {
+      const location = { lat: haven.location.coordinates[1], lng: haven.location.coordinates[0] };
+      return {
+        name: haven.name,
+        category: haven.category,
+        address: haven.address,
+        phone: haven.phone,
+        location,
+        distance: Math.round(haversineDistance({ lat, lng }, location)),
+        isOpen: haven.isOpenAt(now, timeZone)
+      };
+    });
 
     res.json({
       success: true,
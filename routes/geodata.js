@@ -0,0 +1,81 @@
+// routes/geodata.js - Geodata layer management API endpoints
+const express = require('express');
+const router = express.Router();
+const GeoFeature = require('../models/GeoFeature');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { importDataset } = require('../services/geodata/importer');
+
+// Import a GeoJSON or CSV dataset into a layer (large drops: use scripts/import-geodata.js)
+router.post('/import', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { layer, format = 'geojson', data, source, replace = false } = req.body;
+
+    if (!['geojson', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be geojson or csv' });
+    }
+
+    const result = await importDataset({ layer, format, data, source, replace });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dataset imported successfully',
+      ...result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Geodata import error:', error);
+    res.status(500).json({ error: 'Failed to import dataset' });
+  }
+});
+
+// Get feature counts per layer and source
+router.get('/layers', authenticateToken, async (req, res) => {
+  try {
+    const counts = await GeoFeature.aggregate([
+      {
+        $group: {
+          _id: { layer: '$layer', source: '$source' },
+          count: { $sum: 1 },
+          lastImported: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { '_id.layer': 1, '_id.source': 1 } }
+    ]);
+
+    const layers = {};
+    counts.forEach(({ _id, count, lastImported }) => {
+      layers[_id.layer] = layers[_id.layer] || { total: 0, sources: [] };
+      layers[_id.layer].total += count;
+      layers[_id.layer].sources.push({ source: _id.source, count, lastImported });
+    });
+
+    res.json({
+      success: true,
+      layers
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch geodata layers' });
+  }
+});
+
+// Delete a layer, or only the features imported from one source
+router.delete('/layers/:layer', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const filter = { layer: req.params.layer };
+    if (req.query.source) filter.source = req.query.source;
+
+    const result = await GeoFeature.deleteMany(filter);
+
+    res.json({
+      success: true,
+      message: 'Geodata features deleted successfully',
+      deleted: result.deletedCount
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete geodata features' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+// routes/moderation.js - Moderator review queue and decisions for safety reports
+const express = require('express');
+const router = express.Router();
+const SafetyReport = require('../models/SafetyReport');
+const ModerationAction = require('../models/ModerationAction');
+const { authenticateToken, isAdmin, isModerator } = require('../middleware/auth');
+const { ACTIONS, reviewQueue, moderateReport, reportHistory } = require('../services/moderation');
+
+const MAX_NOTES_LENGTH = 1000;
+
+function sendError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ error: 'Invalid ID' });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+// Get the review queue: held then pending reports, most severe and oldest first
+// (?status=&reportType=&severity=&page=&limit=)
+router.get('/reports', authenticateToken, isModerator, async (req, res) => {
+  try {
+    const { status, reportType, severity } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (status && !SafetyReport.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const { reports, count } = await reviewQueue({ status, reportType, severity, page, limit });
+
+    res.json({
+      reports,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch review queue');
+  }
+});
+
+// Get the decisions taken on a report
+router.get('/reports/:reportId/history', authenticateToken, isModerator, async (req, res) => {
+  try {
+    const report = await SafetyReport.findById(req.params.reportId).select('status');
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    res.json({
+      status: report.status,
+      actions: await reportHistory(report._id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch report history');
+  }
+});
+
+// Verify, dismiss or resolve a report ({ notes })
+router.post('/reports/:reportId/:action', authenticateToken, isModerator, async (req, res) => {
+  try {
+    const { action } = req.params;
+    const { notes } = req.body;
+
+    if (!ACTIONS[action]) {
+      return res.status(404).json({ error: 'Unknown moderation action' });
+    }
+    if (notes !== undefined && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+      return res.status(400).json({ error: `Notes must be text of at most ${MAX_NOTES_LENGTH} characters` });
+    }
+
+    const report = await SafetyReport.findOne({ _id: req.params.reportId, deletedAt: null });
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const record = await moderateReport(report, action, {
+      moderatorId: req.user.userId,
+      notes: notes && notes.trim() ? notes.trim() : undefined
+    });
+
+    // Held reports were kept quiet when submitted; tell nearby users now they are confirmed
+    if (record.fromStatus === 'held' && report.status === 'verified') {
+      req.app.get('io').emit('new-safety-report', {
+        reportId: report._id,
+        reportType: report.reportType,
+        location: report.location,
+        severity: report.severity,
+        incidentId: report.incident,
+        timestamp: report.createdAt
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Report ${report.status}`,
+      report: {
+        reportId: report._id,
+        status: report.status,
+        verification: report.verification,
+        resolved: report.resolved
+      },
+      action: record
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to moderate report');
+  }
+});
+
+// Get the audit trail of moderation decisions (admin only; ?moderator=&action=&from=&to=)
+router.get('/actions', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { moderator, action, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = {};
+    if (moderator) query.moderator = moderator;
+    if (action) query.action = action;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ error: 'from and to must be valid dates' });
+      }
+    }
+
+    const [actions, count] = await Promise.all([
+      ModerationAction.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .populate('moderator', 'firstName lastName')
+        .populate('report', 'reportType severity status location.address'),
+      ModerationAction.countDocuments(query)
+    ]);
+
+    res.json({
+      actions,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch moderation actions');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+// routes/places.js - Address search, autocomplete and reverse geocoding API endpoints
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { getGeocodingProvider } = require('../services/geocoding');
+const { resultLimit } = require('../services/geocoding/common');
+
+// Optional ?lat=&lng= to bias results towards the user
+function nearFrom(query) {
+  const lat = parseFloat(query.lat);
+  const lng = parseFloat(query.lng);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : undefined;
+}
+
+function sendError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, details: error.details });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+// Search for places matching free text (?q=)
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+    if (!q || !q.trim()) {
+      return res.status(400).json({ error: 'Query (q) is required' });
+    }
+
+    const places = await getGeocodingProvider().search(q.trim(), { near: nearFrom(req.query), limit });
+
+    res.json({ success: true, places });
+  } catch (error) {
+    sendError(res, error, 'Failed to search places');
+  }
+});
+
+// Suggestions while typing (?q=): the user's matching saved places, then provider places
+router.get('/autocomplete', authenticateToken, async (req, res) => {
+  try {
+    const { q } = req.query;
+    if (!q || !q.trim()) {
+      return res.status(400).json({ error: 'Query (q) is required' });
+    }
+
+    const limit = resultLimit(req.query.limit);
+    const text = q.trim().toLowerCase();
+    const user = await User.findById(req.user.userId).select('savedPlaces');
+
+    const saved = (user ? user.savedPlaces : [])
+      .filter(place => place.name.toLowerCase().includes(text) ||
+        place.type.startsWith(text) ||
+        place.address.toLowerCase().includes(text))
+      .slice(0, limit)
+      .map(place => ({
+        savedPlace: place._id,
+        name: place.name,
+        address: place.address,
+        location: place.coordinates,
+        type: place.type
+      }));
+
+    const places = saved.length < limit
+      ? await getGeocodingProvider().autocomplete(q.trim(), { near: nearFrom(req.query), limit: limit - saved.length })
+      : [];
+
+    res.json({
+      success: true,
+      suggestions: [...saved, ...places]
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch suggestions');
+  }
+});
+
+// Get a suggested place, with its coordinates
+router.get('/lookup/:placeId', authenticateToken, async (req, res) => {
+  try {
+    const place = await getGeocodingProvider().lookup(req.params.placeId);
+    if (!place) {
+      return res.status(404).json({ error: 'Place not found' });
+    }
+
+    res.json({ success: true, place });
+  } catch (error) {
+    sendError(res, error, 'Failed to look up place');
+  }
+});
+
+// Get the address at a location (?lat=&lng=)
+router.get('/reverse', authenticateToken, async (req, res) => {
+  try {
+    const location = nearFrom(req.query);
+    if (!location) {
+      return res.status(400).json({ error: 'Numeric lat and lng are required' });
+    }
+
+    const place = await getGeocodingProvider().reverse(location);
+    if (!place) {
+      return res.status(404).json({ error: 'No address found for this location' });
+    }
+
+    res.json({ success: true, place });
+  } catch (error) {
+    sendError(res, error, 'Failed to look up address');
+  }
+});
+
+module.exports = router;
@@ -3,26 +3,73 @@ const express = require('express');
 const router = express.Router();
 const SafetyReport = require('../models/SafetyReport');
 const { authenticateToken } = require('../middleware/auth');
+const { acceptImages } = require('../middleware/upload');
+const User = require('../models/User');
+const { invalidateRoutesNear } = require('../services/routeCache');
+const { resolveLocation } = require('../services/locations');
+const { linkToIncident, unlinkFromIncident, countOtherReporters } = require('../services/incidents');
+const { assessReporter, refreshReputation, countsTowardReputation } = require('../services/reputation');
+const {
+  addReportImages,
+  imageKeys,
+  loadViewer,
+  imageAccess,
+  describeImages
+} = require('../services/reportImages');
+const { getFileStore } = require('../services/storage');
+
+const STAFF_ROLES = ['moderator', 'admin'];
+
+const DEFAULT_RADIUS = 5000; // meters
+const MAX_RADIUS = 20000; // larger radii are cut down to this
+const MAX_NEARBY_REPORTS = 50;
+const MAX_STATS_REPORTS = 1000; // area statistics cover the most recent reports only
+
+// `?radius=` in meters, capped at MAX_RADIUS; null when it is not a positive number
+function parseRadius(value) {
+  if (value === undefined || value === '') return DEFAULT_RADIUS;
+  const radius = Number(value);
+  if (!Number.isFinite(radius) || radius <= 0) return null;
+  return Math.min(Math.round(radius), MAX_RADIUS);
+}
+
+// Multipart form fields are strings; a location may be sent as JSON text
+function parseLocationField(location) {
+  if (typeof location !== 'string' || !location.trim().startsWith('{')) return location;
+  try {
+    return JSON.parse(location);
+  } catch (error) {
+    return location;
+  }
+}
 
-// Create a new safety report
-router.post('/', authenticateToken, async (req, res) => {
+// Create a new safety report; photos may be attached as multipart `images`
+router.post('/', authenticateToken, acceptImages, async (req, res) => {
   try {
     const {
       reportType,
-      location,
       description,
       timeOfIncident,
       severity,
+      visibility,
       isAnonymous
     } = req.body;
+    const requestedLocation = parseLocationField(req.body.location);
 
     // Validation
-    if (!reportType || !location || !description) {
+    if (!reportType || !requestedLocation || !description) {
       return res.status(400).json({ 
         error: 'Report type, location, and description are required' 
       });
     }
 
+    // The location may be coordinates, text or a saved place; reports always get an address
+    const user = await User.findById(req.user.userId).select('savedPlaces reputation createdAt');
+    const location = await resolveLocation(requestedLocation, {
+      savedPlaces: user ? user.savedPlaces : [],
+      withAddress: true
+    });
+
     const report = new SafetyReport({
       userId: req.user.userId,
       reportType,
@@ -30,32 +77,75 @@ router.post('/', authenticateToken, async (req, res) => {
         type: 'Point',
         coordinates: [location.lng, location.lat],
         address: location.address,
-        landmark: location.landmark
+        landmark: requestedLocation.landmark
       },
       description,
       timeOfIncident: timeOfIncident || new Date(),
       severity: severity || 'medium',
+      visibility: visibility || 'public',
       isAnonymous: isAnonymous || false
     });
 
-    await report.save();
+    // Reports from new or low-reputation accounts wait for a moderator before they count
+    const reporter = assessReporter(user);
+    report.reporterTrust = reporter.trust;
+    if (reporter.holdForReview) {
+      report.status = 'held';
+    }
 
-    // Emit real-time notification to nearby users
-    const io = req.app.get('io');
-    io.emit('new-safety-report', {
-      reportId: report._id,
-      reportType: report.reportType,
-      location: report.location,
-      severity: report.severity,
-      timestamp: report.createdAt
-    });
+    // Reports of the same thing close by in place and time share an incident
+    await report.validate();
+    const storedKeys = await addReportImages(report, req.files);
+    let incident;
+    let othersReported;
+    try {
+      ({ incident, othersReported } = await linkToIncident(report));
+      await report.save();
+    } catch (error) {
+      await getFileStore().remove(storedKeys);
+      throw error;
+    }
+
+    // Held reports change nothing until reviewed; moderation announces them if verified
+    if (!reporter.holdForReview) {
+      // Cached route scores must not hide a fresh incident
+      await invalidateRoutesNear({ lat: location.lat, lng: location.lng });
+
+      // Emit real-time notification to nearby users
+      const io = req.app.get('io');
+      io.emit('new-safety-report', {
+        reportId: report._id,
+        reportType: report.reportType,
+        location: report.location,
+        severity: report.severity,
+        incidentId: incident._id,
+        timestamp: report.createdAt
+      });
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Safety report submitted successfully',
-      reportId: report._id
+      message: reporter.holdForReview
+        ? 'Safety report submitted; it will be shown once a moderator has reviewed it'
+        : 'Safety report submitted successfully',
+      reportId: report._id,
+      status: report.status,
+      images: describeImages(report, { thumbnail: true, original: true }),
+      incident: {
+        incidentId: incident._id,
+        othersReported,
+        message: othersReported > 0
+          ? `${othersReported} other${othersReported === 1 ? '' : 's'} reported this`
+          : undefined
+      }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error creating report:', error);
     res.status(500).json({ error: 'Failed to submit report' });
   }
@@ -64,31 +154,29 @@ router.post('/', authenticateToken, async (req, res) => {
 // Get nearby safety reports
 router.get('/nearby', authenticateToken, async (req, res) => {
   try {
-    const { lat, lng, radius = 5000 } = req.query;
+    const { lat, lng } = req.query;
 
     if (!lat || !lng) {
       return res.status(400).json({ error: 'Latitude and longitude are required' });
     }
+    const radius = parseRadius(req.query.radius);
+    if (radius === null) {
+      return res.status(400).json({ error: 'Radius must be a number of meters' });
+    }
 
-    const reports = await SafetyReport.find({
-      location: {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: [parseFloat(lng), parseFloat(lat)]
-          },
-          $maxDistance: parseInt(radius)
-        }
-      },
-      status: { $in: ['verified', 'pending'] }
-    })
-    .populate('userId', 'firstName lastName')
-    .sort({ timeOfIncident: -1 })
-    .limit(50);
+    // Reports that still count, by age and status, newest first
+    const now = new Date();
+    const reports = await SafetyReport.findNearby([parseFloat(lng), parseFloat(lat)], radius, now, {
+      limit: MAX_NEARBY_REPORTS
+    });
+    await SafetyReport.populate(reports, { path: 'userId', select: 'firstName lastName' });
 
-    // Hide user info if anonymous
+    // Hide user info if anonymous, and photos the requester may not see
+    const viewer = await loadViewer(req.user);
     const processedReports = reports.map(report => {
       const reportObj = report.toObject();
+      reportObj.weight = Math.round(report.getWeight(now) * 100) / 100;
+      reportObj.images = describeImages(report, imageAccess(report, viewer));
       if (report.isAnonymous) {
         delete reportObj.userId;
       }
@@ -109,7 +197,7 @@ router.get('/nearby', authenticateToken, async (req, res) => {
 // Get report by ID
 router.get('/:reportId', authenticateToken, async (req, res) => {
   try {
-    const report = await SafetyReport.findById(req.params.reportId)
+    const report = await SafetyReport.findOne({ _id: req.params.reportId, deletedAt: null })
       .populate('userId', 'firstName lastName profilePicture')
       .populate('comments.userId', 'firstName lastName');
 
@@ -117,12 +205,25 @@ router.get('/:reportId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Report not found' });
     }
 
+    // Held reports are not public until a moderator has reviewed them
+    const isAuthor = report.userId && report.userId._id.toString() === req.user.userId;
+    if (report.status === 'held' && !isAuthor && !STAFF_ROLES.includes(req.user.role)) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const images = describeImages(report, imageAccess(report, await loadViewer(req.user)));
+
     // Hide user info if anonymous and requester is not the author
     if (report.isAnonymous && report.userId._id.toString() !== req.user.userId) {
       report.userId = null;
     }
 
-    res.json(report);
+    // People other than the viewer who reported the same incident
+    const othersReported = report.incident
+      ? await countOtherReporters(report.incident, req.user.userId)
+      : 0;
+
+    res.json({ ...report.toObject(), images, othersReported });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch report' });
   }
@@ -133,15 +234,18 @@ router.get('/user/my-reports', authenticateToken, async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
 
-    const reports = await SafetyReport.find({ userId: req.user.userId })
+    const reports = await SafetyReport.find({ userId: req.user.userId, deletedAt: null })
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
-    const count = await SafetyReport.countDocuments({ userId: req.user.userId });
+    const count = await SafetyReport.countDocuments({ userId: req.user.userId, deletedAt: null });
 
     res.json({
-      reports,
+      reports: reports.map(report => ({
+        ...report.toObject(),
+        images: describeImages(report, { thumbnail: true, original: true })
+      })),
       totalPages: Math.ceil(count / limit),
       currentPage: parseInt(page)
     });
@@ -161,7 +265,7 @@ router.post('/:reportId/vote', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Invalid vote type' });
     }
 
-    const report = await SafetyReport.findById(reportId);
+    const report = await SafetyReport.findOne({ _id: reportId, deletedAt: null });
     if (!report) {
       return res.status(404).json({ error: 'Report not found' });
     }
@@ -189,6 +293,11 @@ router.post('/:reportId/vote', authenticateToken, async (req, res) => {
 
     await report.save();
 
+    // Votes from others count towards the author's reputation
+    if (String(report.userId) !== String(userId)) {
+      await refreshReputation(report.userId);
+    }
+
     res.json({
       success: true,
       message: 'Vote recorded',
@@ -208,7 +317,7 @@ router.post('/:reportId/comment', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Comment text is required' });
     }
 
-    const report = await SafetyReport.findById(req.params.reportId);
+    const report = await SafetyReport.findOne({ _id: req.params.reportId, deletedAt: null });
     if (!report) {
       return res.status(404).json({ error: 'Report not found' });
     }
@@ -229,19 +338,120 @@ router.post('/:reportId/comment', authenticateToken, async (req, res) => {
   }
 });
 
+// Add photos to a report (author only; multipart `images`)
+router.post('/:reportId/images', authenticateToken, acceptImages, async (req, res) => {
+  try {
+    const report = await SafetyReport.findOne({
+      _id: req.params.reportId,
+      userId: req.user.userId,
+      deletedAt: null
+    });
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found or unauthorized' });
+    }
+    if (req.files.length === 0) {
+      return res.status(400).json({ error: 'No images were uploaded' });
+    }
+
+    const storedKeys = await addReportImages(report, req.files);
+    try {
+      await report.save();
+    } catch (error) {
+      await getFileStore().remove(storedKeys);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      images: describeImages(report, { thumbnail: true, original: true })
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error adding report images:', error);
+    res.status(500).json({ error: 'Failed to add images' });
+  }
+});
+
+// Send a report photo, or its thumbnail, when the requester may see it
+async function sendImage(req, res, variant) {
+  try {
+    const report = await SafetyReport.findOne({ _id: req.params.reportId, deletedAt: null })
+      .select('userId visibility isAnonymous images');
+    const image = report && report.images.id(req.params.imageId);
+    const access = report && imageAccess(report, await loadViewer(req.user));
+
+    // Images the requester may not see are reported as missing
+    if (!image || !access[variant]) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const key = variant === 'thumbnail' ? image.thumbnailKey : image.key;
+    const file = key ? await getFileStore().get(key) : null;
+    if (!file) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.set('Content-Type', variant === 'thumbnail' ? 'image/jpeg' : image.contentType);
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.send(file);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch image' });
+  }
+}
+
+// Get a report photo
+router.get('/:reportId/images/:imageId', authenticateToken, (req, res) => sendImage(req, res, 'original'));
+
+// Get a report photo's thumbnail
+router.get('/:reportId/images/:imageId/thumbnail', authenticateToken, (req, res) => sendImage(req, res, 'thumbnail'));
+
+// Remove a photo from a report (author, moderator or admin)
+router.delete('/:reportId/images/:imageId', authenticateToken, async (req, res) => {
+  try {
+    const report = await SafetyReport.findOne({ _id: req.params.reportId, deletedAt: null });
+    const image = report && report.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    if (report.userId.toString() !== req.user.userId && !STAFF_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only the author or a moderator can remove images' });
+    }
+
+    image.deleteOne();
+    await report.save();
+    await getFileStore().remove(imageKeys([image]));
+
+    res.json({
+      success: true,
+      message: 'Image removed'
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove image' });
+  }
+});
+
 // Update report (author only)
 router.patch('/:reportId', authenticateToken, async (req, res) => {
   try {
     const report = await SafetyReport.findOne({
       _id: req.params.reportId,
-      userId: req.user.userId
+      userId: req.user.userId,
+      deletedAt: null
     });
 
     if (!report) {
       return res.status(404).json({ error: 'Report not found or unauthorized' });
     }
 
-    const allowedUpdates = ['description', 'severity', 'status'];
+    // Status changes go through moderation (routes/moderation.js)
+    if (req.body.status !== undefined) {
+      return res.status(403).json({ error: 'Only moderators can change a report\'s status' });
+    }
+
+    const allowedUpdates = ['description', 'severity'];
     const updates = Object.keys(req.body);
     const isValidOperation = updates.every(update => allowedUpdates.includes(update));
 
@@ -265,15 +475,36 @@ router.patch('/:reportId', authenticateToken, async (req, res) => {
 // Delete report (author only)
 router.delete('/:reportId', authenticateToken, async (req, res) => {
   try {
-    const report = await SafetyReport.findOneAndDelete({
+    const report = await SafetyReport.findOne({
       _id: req.params.reportId,
-      userId: req.user.userId
+      userId: req.user.userId,
+      deletedAt: null
     });
 
     if (!report) {
       return res.status(404).json({ error: 'Report not found or unauthorized' });
     }
 
+    const imageKeysToRemove = imageKeys(report.images);
+    await unlinkFromIncident(report);
+
+    // Reports that moderators reviewed or others voted on stay behind, hidden, so that
+    // deleting them does not wipe the author's track record
+    if (countsTowardReputation(report)) {
+      report.deletedAt = new Date();
+      report.images = [];
+      report.incident = undefined;
+      await report.save();
+    } else {
+      await SafetyReport.deleteOne({ _id: report._id });
+    }
+
+    await getFileStore().remove(imageKeysToRemove);
+
+    // Route scores that counted the report must be recalculated
+    const [lng, lat] = report.location.coordinates;
+    await invalidateRoutesNear({ lat, lng });
+
     res.json({
       success: true,
       message: 'Report deleted successfully'
@@ -286,29 +517,27 @@ router.delete('/:reportId', authenticateToken, async (req, res) => {
 // Get report statistics for an area
 router.get('/stats/area', authenticateToken, async (req, res) => {
   try {
-    const { lat, lng, radius = 5000 } = req.query;
+    const { lat, lng } = req.query;
 
     if (!lat || !lng) {
       return res.status(400).json({ error: 'Latitude and longitude required' });
     }
+    const radius = parseRadius(req.query.radius);
+    if (radius === null) {
+      return res.status(400).json({ error: 'Radius must be a number of meters' });
+    }
 
-    const reports = await SafetyReport.find({
-      location: {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: [parseFloat(lng), parseFloat(lat)]
-          },
-          $maxDistance: parseInt(radius)
-        }
-      },
-      status: { $in: ['verified', 'pending'] },
-      timeOfIncident: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } // Last 30 days
+    // The most recent reports that still count; older and unverified ones count for
+    // less below
+    const now = new Date();
+    const reports = await SafetyReport.findNearby([parseFloat(lng), parseFloat(lat)], radius, now, {
+      limit: MAX_STATS_REPORTS
     });
 
     // Calculate statistics
     const stats = {
       total: reports.length,
+      weightedTotal: 0,
       byType: {},
       bySeverity: {},
       avgSafetyScore: 0
@@ -327,8 +556,11 @@ router.get('/stats/area', authenticateToken, async (req, res) => {
     let totalImpact = 0;
     
     reports.forEach(report => {
-      totalImpact += severityWeights[report.severity];
+      const weight = report.getWeight(now);
+      stats.weightedTotal += weight;
+      totalImpact += severityWeights[report.severity] * weight;
     });
+    stats.weightedTotal = Math.round(stats.weightedTotal * 10) / 10;
 
     // Normalize to 0-10 scale (fewer/less severe reports = higher score)
     stats.avgSafetyScore = Math.max(0, Math.min(10, 10 - (totalImpact / 5)));
@@ -336,7 +568,7 @@ router.get('/stats/area', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       stats,
-      radius: parseInt(radius),
+      radius,
       location: { lat: parseFloat(lat), lng: parseFloat(lng) }
     });
   } catch (error) {
@@ -1,133 +1,331 @@
 // routes/routes.js - Routes API endpoints
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const axios = require('axios');
 const Route = require('../models/Route');
-const SafetyReport = require('../models/SafetyReport');
+const User = require('../models/User');
+const RouteShare = require('../models/RouteShare');
+const Trip = require('../models/Trip');
 const { authenticateToken } = require('../middleware/auth');
+const { calculateRouteCandidates } = require('../services/routeCandidates');
+const { buildRouteDocument } = require('../services/routeDocuments');
+const { buildCacheKey, getCachedCandidates, cacheCandidates, invalidateRoutesNear } = require('../services/routeCache');
+const { toFeatureCollection } = require('../services/routeSegments');
+const { resolveProfile, balancedScore } = require('../services/scoring');
+const { checkPosition } = require('../services/navigation');
+const { exportRoutes } = require('../services/routeExport');
+const { recordRouteFeedback } = require('../services/feedbackScoring');
+const { explainRoute, compareExplanations } = require('../services/routeExplanation');
+const { MAX_STOPS, optimizeStopOrder } = require('../services/stopOrder');
+const { resolveLocation } = require('../services/locations');
+const { decodePolyline } = require('../utils/polyline');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, localTime } = require('../utils/timeZone');
+
+// Where share links point; the same client the server allows for CORS
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:8080';
 
 // Calculate routes with safety scores
 router.post('/calculate', authenticateToken, async (req, res) => {
   try {
-    const { origin, destination, routePreference = 'safest' } = req.body;
-
-    if (!origin || !destination) {
+    const {
+      origin: requestedOrigin,
+      destination: requestedDestination,
+      routePreference = 'safest',
+      travelMode = 'drive',
+      departAt: plannedDeparture,
+      timeZone = DEFAULT_TIME_ZONE,
+      stops: requestedStops = [],
+      optimizeStopOrder: optimize = false
+    } = req.body;
+
+    if (!requestedOrigin || !requestedDestination) {
       return res.status(400).json({ error: 'Origin and destination are required' });
     }
+    if (!Array.isArray(requestedStops) || requestedStops.length > MAX_STOPS) {
+      return res.status(400).json({ error: `stops must be a list of at most ${MAX_STOPS} locations` });
+    }
 
-    // Call Google Maps Directions API
-    const googleMapsResponse = await axios.get('https://maps.googleapis.com/maps/api/directions/json', {
-      params: {
-        origin: `${origin.lat},${origin.lng}`,
-        destination: `${destination.lat},${destination.lng}`,
-        alternatives: true,
-        mode: 'driving',
-        key: process.env.GOOGLE_MAPS_API_KEY
-      }
-    });
-
-    if (googleMapsResponse.data.status !== 'OK') {
+    const travelModes = Route.schema.path('travelMode').enumValues;
+    if (!travelModes.includes(travelMode)) {
       return res.status(400).json({ 
-        error: 'Unable to calculate route', 
-        details: googleMapsResponse.data.status 
+        error: `Travel mode must be one of: ${travelModes.join(', ')}` 
       });
     }
 
-    const routes = googleMapsResponse.data.routes;
-    
-    // Process each route and calculate safety scores
-    const processedRoutes = await Promise.all(routes.map(async (route, index) => {
-      const leg = route.legs[0];
-      
-      // Calculate safety score based on nearby reports
-      const safetyScore = await calculateRouteSafetyScore(route.overview_polyline.points);
-      
-      // Determine route type
-      let routeType = 'balanced';
-      if (index === 0 && safetyScore.overall >= 8) routeType = 'safest';
-      if (leg.duration.value === Math.min(...routes.map(r => r.legs[0].duration.value))) routeType = 'fastest';
-      
-      // Get current time of day
-      const hour = new Date().getHours();
-      const timeOfDay = Route.getTimeOfDay(hour);
-      
-      // Create route document
-      const routeDoc = new Route({
-        userId: req.user.userId,
-        origin: {
-          address: leg.start_address,
-          coordinates: {
-            lat: leg.start_location.lat,
-            lng: leg.start_location.lng
-          }
-        },
-        destination: {
-          address: leg.end_address,
-          coordinates: {
-            lat: leg.end_location.lat,
-            lng: leg.end_location.lng
-          }
-        },
-        routeData: {
-          distance: leg.distance.value,
-          duration: leg.duration.value,
-          polyline: route.overview_polyline.points,
-          steps: leg.steps.map(step => ({
-            instruction: step.html_instructions.replace(/<[^>]*>/g, ''),
-            distance: step.distance.value,
-            duration: step.duration.value,
-            startLocation: step.start_location,
-            endLocation: step.end_location
-          }))
-        },
-        safetyScore,
-        routeType,
-        timeOfDay,
-        tags: generateRouteTags(safetyScore)
-      });
-      
-      await routeDoc.save();
+    // Routes are scored for the planned departure time, defaulting to now
+    const departAt = plannedDeparture ? new Date(plannedDeparture) : new Date();
+    if (isNaN(departAt.getTime())) {
+      return res.status(400).json({ error: 'departAt must be a valid date' });
+    }
+
+    // Get time of day at departure, on the clock of the traveller's time zone
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: 'timeZone must be a time zone name such as Asia/Kolkata' });
+    }
+    const timeOfDay = Route.getTimeOfDay(localTime(departAt, timeZone).hour);
+
+    const user = await User.findById(req.user.userId).select('preferences.safetyProfile savedPlaces');
+    const savedPlaces = user ? user.savedPlaces : [];
+
+    // Locations may be coordinates, text or saved places; text is searched near the origin
+    const origin = await resolveLocation(requestedOrigin, { field: 'origin', savedPlaces });
+    const [destination, ...resolvedStops] = await Promise.all(
+      [requestedDestination, ...requestedStops].map((location, index) => resolveLocation(location, {
+        field: index === 0 ? 'destination' : `stop ${index}`,
+        savedPlaces,
+        near: origin
+      }))
+    );
+
+    // Intermediate stops are visited in the order given unless the client asks for
+    // the shortest order
+    const stopOrder = optimize
+      ? optimizeStopOrder(origin, resolvedStops, destination)
+      : resolvedStops.map((stop, index) => index);
+    const stops = stopOrder.map(index => resolvedStops[index]);
+
+    // Score with the user's safety profile for this travel mode
+    const profile = resolveProfile(user && user.preferences.safetyProfile, travelMode);
+    const { weights } = profile;
+
+    // Reuse scored candidates for the same trip when they are cached
+    const cacheKey = buildCacheKey({ origin, destination, stops, travelMode, departAt, timeZone, timeOfDay, weights });
+    let calculation = await getCachedCandidates(cacheKey);
+    const cached = Boolean(calculation);
+
+    if (!calculation) {
+      const candidates = await calculateRouteCandidates({ origin, destination, stops, travelMode, departAt, timeZone, weights });
+      calculation = await cacheCandidates(cacheKey, candidates) ||
+        { createdAt: new Date().toISOString(), candidates };
+    }
+
+    const { candidates } = calculation;
+    const routeDocs = await buildRouteDocuments(req.user.userId, calculation, {
+      cacheKey,
+      travelMode,
+      departAt,
+      timeZone,
+      timeOfDay,
+      profile,
+      origin,
+      destination,
+      stops
+    });
+
+    const processedRoutes = candidates.map((candidate, index) => {
+      const { route, safetyScore } = candidate;
+      const routeDoc = routeDocs[index];
       
       return {
         routeId: routeDoc._id,
-        routeType,
+        routeType: routeDoc.routeType,
+        travelMode,
+        departAt,
+        timeZone,
+        timeOfDay,
         distance: {
-          meters: leg.distance.value,
-          text: leg.distance.text
+          meters: route.distance,
+          text: route.distanceText
         },
         duration: {
-          seconds: leg.duration.value,
-          text: leg.duration.text
+          seconds: route.duration,
+          text: route.durationText
         },
         safetyScore: safetyScore.overall,
         safetyFactors: safetyScore.factors,
+        legs: routeDoc.legs,
+        safeHavens: routeDoc.safeHavens,
+        weather: safetyScore.weather,
+        boardingStops: safetyScore.boardingStops,
+        segments: toFeatureCollection(
+          decodePolyline(route.polyline),
+          safetyScore.segments,
+          safetyScore.hotspots
+        ),
+        detour: candidate.detour && {
+          baseRouteId: routeDoc.detour.baseRoute,
+          ...candidate.detour
+        },
         tags: routeDoc.tags,
-        polyline: route.overview_polyline.points,
+        polyline: route.polyline,
         steps: routeDoc.routeData.steps
       };
-    }));
+    });
 
     // Sort routes by preference
     processedRoutes.sort((a, b) => {
       if (routePreference === 'safest') return b.safetyScore - a.safetyScore;
       if (routePreference === 'fastest') return a.duration.seconds - b.duration.seconds;
-      // balanced: weighted combination
-      const scoreA = a.safetyScore * 0.6 + (1 / a.duration.seconds) * 10000 * 0.4;
-      const scoreB = b.safetyScore * 0.6 + (1 / b.duration.seconds) * 10000 * 0.4;
-      return scoreB - scoreA;
+      // balanced: safety vs. speed as set by the user's profile
+      return balancedScore(b.safetyScore, b.duration.seconds, profile.balance) -
+        balancedScore(a.safetyScore, a.duration.seconds, profile.balance);
     });
 
     res.json({
       success: true,
+      cached,
+      safetyProfile: profile,
+      origin,
+      destination,
+      // Stops in visiting order, with their position in the request
+      stops: stops.map((stop, index) => ({ ...stop, requestIndex: stopOrder[index] })),
       routes: processedRoutes
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
     console.error('Route calculation error:', error);
     res.status(500).json({ error: 'Failed to calculate routes' });
   }
 });
 
+// Get the user's Route documents for a calculation. Documents already saved for the
+// same cached calculation are reused, so repeating a trip does not pile up duplicates.
+async function buildRouteDocuments(userId, { createdAt, candidates }, { cacheKey, travelMode, departAt, timeZone, timeOfDay, profile, origin, destination, stops }) {
+  const existing = await Route.find({
+    userId,
+    'calculation.key': cacheKey,
+    'calculation.createdAt': new Date(createdAt)
+  }).sort({ 'calculation.index': 1 });
+
+  if (existing.length === candidates.length) return existing;
+
+  const fastestDuration = Math.min(...candidates.map(c => c.route.duration));
+  const bestScore = Math.max(...candidates.map(c => c.safetyScore.overall));
+
+  // Create route documents first so detours can reference the route they improve on
+  const routeDocs = candidates.map((candidate, index) => {
+    const { route, safetyScore } = candidate;
+    
+    // Determine route type
+    let routeType = 'balanced';
+    if (index === 0 && safetyScore.overall >= 8) routeType = 'safest';
+    if (candidate.detour && safetyScore.overall === bestScore) routeType = 'safest';
+    if (route.duration === fastestDuration) routeType = 'fastest';
+    
+    const routeDoc = buildRouteDocument(userId, candidate, {
+      routeType,
+      travelMode,
+      departAt,
+      timeZone,
+      timeOfDay,
+      profile,
+      origin,
+      destination,
+      stops
+    });
+    routeDoc.calculation = {
+      key: cacheKey,
+      createdAt: new Date(createdAt),
+      index
+    };
+    return routeDoc;
+  });
+
+  candidates.forEach((candidate, index) => {
+    if (candidate.detour) {
+      routeDocs[index].detour = {
+        baseRoute: routeDocs[candidate.baseIndex]._id,
+        ...candidate.detour
+      };
+    }
+  });
+
+  await Promise.all(routeDocs.map(routeDoc => routeDoc.save()));
+  return routeDocs;
+}
+
+// Send routes as a downloadable GPX, KML or GeoJSON file
+function sendExport(res, routes, format, filename) {
+  const file = exportRoutes(routes, format);
+  res.set('Content-Type', file.contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}.${file.extension}"`);
+  res.send(file.body);
+}
+
+// Export all saved routes (?format=gpx|kml|geojson)
+router.get('/saved/export', authenticateToken, async (req, res) => {
+  try {
+    const { format = 'gpx' } = req.query;
+    const routes = await Route.find({ userId: req.user.userId, isSaved: true })
+      .sort({ createdAt: -1 });
+
+    if (routes.length === 0) {
+      return res.status(404).json({ error: 'No saved routes to export' });
+    }
+
+    sendExport(res, routes, format, 'saved-routes');
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Route export error:', error);
+    res.status(500).json({ error: 'Failed to export routes' });
+  }
+});
+
+// Export a route (?format=gpx|kml|geojson)
+router.get('/:routeId/export', authenticateToken, async (req, res) => {
+  try {
+    const { format = 'gpx' } = req.query;
+    const route = await Route.findOne({
+      _id: req.params.routeId,
+      userId: req.user.userId
+    });
+
+    if (!route) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    sendExport(res, [route], format, `route-${route._id}`);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Route export error:', error);
+    res.status(500).json({ error: 'Failed to export route' });
+  }
+});
+
+const MAX_EXPLAINED_ROUTES = 5;
+
+// Explain one or more routes' safety scores (?routeIds=a,b), comparing them when
+// there are several; routes are labelled "Route 1", "Route 2"... in the order given
+router.get('/explain', authenticateToken, async (req, res) => {
+  try {
+    const routeIds = [...new Set(String(req.query.routeIds || '').split(',').map(id => id.trim()).filter(Boolean))];
+    if (routeIds.length === 0) {
+      return res.status(400).json({ error: 'routeIds is required' });
+    }
+    if (routeIds.length > MAX_EXPLAINED_ROUTES) {
+      return res.status(400).json({ error: `At most ${MAX_EXPLAINED_ROUTES} routes can be explained at once` });
+    }
+    if (!routeIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: 'Invalid route ID' });
+    }
+
+    const found = await Route.find({ _id: { $in: routeIds }, userId: req.user.userId });
+    const routes = routeIds.map(id => found.find(route => route._id.toString() === id));
+    if (routes.some(route => !route)) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const explanations = await Promise.all(routes.map((route, index) =>
+      explainRoute(route, routes.length === 1 ? 'The route' : `Route ${index + 1}`)
+    ));
+
+    res.json({
+      routes: explanations,
+      comparison: explanations.length > 1 ? compareExplanations(explanations) : undefined
+    });
+  } catch (error) {
+    console.error('Route explanation error:', error);
+    res.status(500).json({ error: 'Failed to explain routes' });
+  }
+});
+
 // Get route by ID
 router.get('/:routeId', authenticateToken, async (req, res) => {
   try {
@@ -146,6 +344,47 @@ router.get('/:routeId', authenticateToken, async (req, res) => {
   }
 });
 
+// Get a route's per-segment safety breakdown and hotspots as GeoJSON
+router.get('/:routeId/segments', authenticateToken, async (req, res) => {
+  try {
+    const route = await Route.findOne({
+      _id: req.params.routeId,
+      userId: req.user.userId
+    }).select('routeData.polyline segments hotspots');
+
+    if (!route) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    res.json(route.getSegmentFeatures());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch route segments' });
+  }
+});
+
+// Report the current position while travelling a route. Responds with progress and
+// ETA, alerts for new serious reports ahead and a re-route proposal when one is due.
+router.post('/:routeId/position', authenticateToken, async (req, res) => {
+  try {
+    const route = await Route.findOne({
+      _id: req.params.routeId,
+      userId: req.user.userId
+    });
+
+    if (!route) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    res.json(await checkPosition(route, req.body));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    console.error('Position check error:', error);
+    res.status(500).json({ error: 'Failed to check position' });
+  }
+});
+
 // Get user's route history
 router.get('/history/all', authenticateToken, async (req, res) => {
   try {
@@ -155,7 +394,7 @@ router.get('/history/all', authenticateToken, async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
-      .select('-routeData.steps');
+      .select('-routeData.steps -segments -hotspots');
 
     const count = await Route.countDocuments({ userId: req.user.userId });
 
@@ -188,128 +427,135 @@ router.post('/:routeId/save', authenticateToken, async (req, res) => {
   }
 });
 
-// Submit route feedback
-router.post('/:routeId/feedback', authenticateToken, async (req, res) => {
+// Share links: default and maximum lifetime, in seconds
+const SHARE_DEFAULT_EXPIRY = 24 * 60 * 60;
+const SHARE_MAX_EXPIRY = 7 * 24 * 60 * 60;
+
+const shareSummary = (share) => ({
+  shareId: share._id,
+  label: share.label,
+  expiresAt: share.expiresAt,
+  revokedAt: share.revokedAt,
+  active: share.isActive(),
+  viewCount: share.viewCount,
+  lastViewedAt: share.lastViewedAt,
+  createdAt: share.createdAt
+});
+
+// Create a read-only share link for a route (no login needed to view it)
+router.post('/:routeId/shares', authenticateToken, async (req, res) => {
   try {
-    const { rating, comment, feltSafe } = req.body;
+    const { expiresIn = SHARE_DEFAULT_EXPIRY, label } = req.body;
 
-    const route = await Route.findOneAndUpdate(
-      { _id: req.params.routeId, userId: req.user.userId },
-      { 
-        feedback: { rating, comment, feltSafe },
-        isCompleted: true,
-        completedAt: new Date()
-      },
-      { new: true }
-    );
+    if (!Number.isFinite(expiresIn) || expiresIn <= 0 || expiresIn > SHARE_MAX_EXPIRY) {
+      return res.status(400).json({ 
+        error: `expiresIn must be between 1 and ${SHARE_MAX_EXPIRY} seconds` 
+      });
+    }
+
+    const route = await Route.findOne({
+      _id: req.params.routeId,
+      userId: req.user.userId
+    });
 
     if (!route) {
       return res.status(404).json({ error: 'Route not found' });
     }
 
-    res.json({ success: true, message: 'Feedback submitted successfully' });
+    const { share, token } = await RouteShare.createForRoute(route, { expiresIn, label });
+
+    res.status(201).json({
+      success: true,
+      ...shareSummary(share),
+      token,
+      shareLink: `${CLIENT_URL}/shared/${token}`
+    });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to submit feedback' });
+    console.error('Route share error:', error);
+    res.status(500).json({ error: 'Failed to share route' });
   }
 });
 
-// Helper function to calculate route safety score
-async function calculateRouteSafetyScore(polyline) {
-  // Decode polyline and get points along the route
-  const routePoints = decodePolyline(polyline);
-  
-  // Sample points along route (every 500m approximately)
-  const samplePoints = routePoints.filter((_, index) => index % 10 === 0);
-  
-  let totalScore = 0;
-  const factors = {
-    lighting: 7,
-    policePresence: 6,
-    crimeRate: 7,
-    pedestrianTraffic: 6,
-    roadCondition: 7,
-    communityReports: 8
-  };
-
-  // Check for nearby safety reports
-  for (const point of samplePoints) {
-    const nearbyReports = await SafetyReport.findNearby([point.lng, point.lat], 500);
-    
-    if (nearbyReports.length > 0) {
-      // Reduce score based on report severity
-      nearbyReports.forEach(report => {
-        const impact = report.calculateSafetyImpact();
-        factors.communityReports += impact / nearbyReports.length;
-      });
-    }
+// List a route's share links
+router.get('/:routeId/shares', authenticateToken, async (req, res) => {
+  try {
+    const shares = await RouteShare.find({
+      route: req.params.routeId,
+      userId: req.user.userId
+    }).sort({ createdAt: -1 });
+
+    res.json({ shares: shares.map(shareSummary) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch route shares' });
   }
+});
 
-  // Normalize factors to 0-10 range
-  Object.keys(factors).forEach(key => {
-    factors[key] = Math.max(0, Math.min(10, factors[key]));
-  });
+// Revoke a share link
+router.delete('/:routeId/shares/:shareId', authenticateToken, async (req, res) => {
+  try {
+    const share = await RouteShare.findOne({
+      _id: req.params.shareId,
+      route: req.params.routeId,
+      userId: req.user.userId
+    });
 
-  // Calculate weighted average
-  const weights = {
-    lighting: 0.20,
-    policePresence: 0.20,
-    crimeRate: 0.25,
-    pedestrianTraffic: 0.15,
-    roadCondition: 0.10,
-    communityReports: 0.10
-  };
-
-  for (const [factor, weight] of Object.entries(weights)) {
-    totalScore += factors[factor] * weight;
+    if (!share) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+
+    if (!share.revokedAt) {
+      share.revokedAt = new Date();
+      await share.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Share link revoked',
+      share: shareSummary(share)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to revoke share' });
   }
+});
 
-  return {
-    overall: Math.round(totalScore * 10) / 10,
-    factors
-  };
-}
+// Submit route feedback
+router.post('/:routeId/feedback', authenticateToken, async (req, res) => {
+  try {
+    const { rating, comment, feltSafe } = req.body;
 
-// Helper function to generate route tags
-function generateRouteTags(safetyScore) {
-  const tags = [];
-  
-  if (safetyScore.factors.lighting >= 7) tags.push('Well-Lit');
-  if (safetyScore.factors.policePresence >= 7) tags.push('Police Patrolled');
-  if (safetyScore.factors.pedestrianTraffic >= 6) tags.push('High Traffic');
-  if (safetyScore.factors.roadCondition >= 7) tags.push('Main Roads');
-  
-  return tags;
-}
+    if (rating !== undefined && rating !== null && !(Number.isFinite(rating) && rating >= 1 && rating <= 5)) {
+      return res.status(400).json({ error: 'Rating must be a number from 1 to 5' });
+    }
+    if (feltSafe !== undefined && feltSafe !== null && typeof feltSafe !== 'boolean') {
+      return res.status(400).json({ error: 'feltSafe must be true or false' });
+    }
 
-// Simple polyline decoder
-function decodePolyline(encoded) {
-  const points = [];
-  let index = 0, lat = 0, lng = 0;
-
-  while (index < encoded.length) {
-    let b, shift = 0, result = 0;
-    do {
-      b = encoded.charCodeAt(index++) - 63;
-      result |= (b & 0x1f) << shift;
-      shift += 5;
-    } while (b >= 0x20);
-    const dlat = ((result & 1) ? ~(result >> 1) : (result >> 1));
-    lat += dlat;
-
-    shift = 0;
-    result = 0;
-    do {
-      b = encoded.charCodeAt(index++) - 63;
-      result |= (b & 0x1f) << shift;
-      shift += 5;
-    } while (b >= 0x20);
-    const dlng = ((result & 1) ? ~(result >> 1) : (result >> 1));
-    lng += dlng;
-
-    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
-  }
+    const route = await Route.findOne({ _id: req.params.routeId, userId: req.user.userId });
 
-  return points;
-}
+    if (!route) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const { aggregatedAt } = route.feedback || {};
+    route.feedback = { rating, comment, feltSafe, aggregatedAt };
+
+    // Only feedback from a trip actually taken to the end feeds area scoring, and only
+    // the route's first; resubmitting only edits it
+    const travelled = await Trip.exists({ route: route._id, userId: req.user.userId, status: 'arrived' });
+    if (travelled && !aggregatedAt && (typeof feltSafe === 'boolean' || rating)) {
+      const qualifyingCells = await recordRouteFeedback(route, { feltSafe, rating });
+      route.feedback.aggregatedAt = new Date();
+
+      // Cached route scores near cells that now count must be recalculated
+      await Promise.all(qualifyingCells.map(center => invalidateRoutesNear(center)));
+    }
+
+    await route.save();
+
+    res.json({ success: true, message: 'Feedback submitted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to submit feedback' });
+  }
+});
 
 module.exports = router;
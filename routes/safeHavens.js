@@ -0,0 +1,214 @@
+// routes/safeHavens.js - Safe haven listing, import and admin curation API endpoints
+const express = require('express');
+const router = express.Router();
+const SafeHaven = require('../models/SafeHaven');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { importSafeHavens } = require('../services/safeHavens');
+const { parseOpeningHours } = require('../utils/openingHours');
+const { haversineDistance } = require('../utils/geo');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('../utils/timeZone');
+
+const EDITABLE_FIELDS = ['name', 'category', 'address', 'phone', 'isActive'];
+
+// Response shape for a safe haven; `from` adds the distance, `at` the open status
+// (local time in `timeZone`)
+function describeHaven(haven, { from, at, timeZone } = {}) {
+  const location = { lat: haven.location.coordinates[1], lng: haven.location.coordinates[0] };
+  return {
+    havenId: haven._id,
+    name: haven.name,
+    category: haven.category,
+    address: haven.address,
+    phone: haven.phone,
+    location,
+    openingHours: haven.openingHours && haven.openingHours.text,
+    verified: haven.verified,
+    distance: from ? Math.round(haversineDistance(from, location)) : undefined,
+    isOpen: at ? haven.isOpenAt(at, timeZone) : undefined
+  };
+}
+
+function editError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Apply admin edits from a request body; throws a 400 error for invalid values
+function applyEdits(haven, body, adminId) {
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) haven[field] = body[field];
+  });
+
+  if (body.location !== undefined) {
+    const { lat, lng } = body.location || {};
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      throw editError('Location needs numeric lat and lng');
+    }
+    haven.location = { type: 'Point', coordinates: [lng, lat] };
+  }
+
+  if (body.openingHours !== undefined) {
+    const hours = body.openingHours ? parseOpeningHours(body.openingHours) : undefined;
+    if (body.openingHours && !hours) {
+      throw editError('Opening hours must look like "24/7" or "Mo-Fr 09:00-18:00; Sa 10:00-14:00"');
+    }
+    haven.openingHours = hours;
+  }
+
+  if (body.verified !== undefined) {
+    haven.verified = Boolean(body.verified);
+    haven.verifiedBy = haven.verified ? adminId : undefined;
+    haven.verifiedAt = haven.verified ? new Date() : undefined;
+  }
+
+  haven.curatedAt = new Date();
+  haven.curatedBy = adminId;
+}
+
+function sendError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+// Get safe havens near a location (?lat=&lng=&radius=&category=a,b&at=&timeZone=)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      return res.status(400).json({ error: 'Latitude and longitude are required' });
+    }
+
+    const radius = Math.min(parseInt(req.query.radius) || 2000, 20000);
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({ error: 'at must be a valid date' });
+    }
+    const { timeZone = DEFAULT_TIME_ZONE } = req.query;
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: 'timeZone must be a time zone name such as Asia/Kolkata' });
+    }
+
+    const categories = req.query.category ? req.query.category.split(',') : undefined;
+    const havens = await SafeHaven.findNear([lng, lat], radius, { categories });
+
+    res.json({
+      success: true,
+      safeHavens: havens.map(haven => describeHaven(haven, { from: { lat, lng }, at, timeZone }))
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch safe havens');
+  }
+});
+
+// Get places waiting for an admin to verify them, such as imported help desks (admin only)
+router.get('/unverified', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, category } = req.query;
+    const query = { verified: false, isActive: true };
+    if (category) query.category = category;
+
+    const havens = await SafeHaven.find(query)
+      .sort({ createdAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await SafeHaven.countDocuments(query);
+
+    res.json({
+      safeHavens: havens.map(haven => ({ ...describeHaven(haven), source: haven.source })),
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch unverified safe havens');
+  }
+});
+
+// Import a GeoJSON or CSV dataset of safe havens (admin only)
+router.post('/import', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { format = 'geojson', data, source, category, replace = false } = req.body;
+
+    if (!['geojson', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be geojson or csv' });
+    }
+
+    const result = await importSafeHavens({ format, data, source, category, replace });
+
+    res.status(201).json({
+      success: true,
+      message: 'Safe havens imported successfully',
+      ...result
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to import safe havens');
+  }
+});
+
+// Add a safe haven by hand (admin only); it is verified on creation
+router.post('/', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    if (!req.body.location) {
+      return res.status(400).json({ error: 'Location is required' });
+    }
+
+    const haven = new SafeHaven({ source: 'admin' });
+    applyEdits(haven, { verified: true, ...req.body }, req.user.userId);
+    await haven.save();
+
+    res.status(201).json({
+      success: true,
+      safeHaven: describeHaven(haven)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to add safe haven');
+  }
+});
+
+// Correct, verify or deactivate a safe haven (admin only)
+router.patch('/:havenId', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const haven = await SafeHaven.findById(req.params.havenId);
+    if (!haven) {
+      return res.status(404).json({ error: 'Safe haven not found' });
+    }
+
+    applyEdits(haven, req.body, req.user.userId);
+    await haven.save();
+
+    res.json({
+      success: true,
+      safeHaven: describeHaven(haven)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update safe haven');
+  }
+});
+
+// Remove a safe haven (admin only); imported places come back on the next import,
+// so deactivate those instead
+router.delete('/:havenId', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const haven = await SafeHaven.findByIdAndDelete(req.params.havenId);
+    if (!haven) {
+      return res.status(404).json({ error: 'Safe haven not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Safe haven removed'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove safe haven');
+  }
+});
+
+module.exports = router;
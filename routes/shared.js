@@ -0,0 +1,94 @@
+// routes/shared.js - Public, read-only view of a shared route (no login)
+const express = require('express');
+const router = express.Router();
+const RouteShare = require('../models/RouteShare');
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+
+const MAX_REROUTE_DEPTH = 20; // re-routes of re-routes followed from the shared route
+
+// The owner's trip along the route, or along any re-route in the chain that replaced it
+async function findActiveTrip(route) {
+  const routeIds = [route._id];
+  let level = [route._id];
+  for (let depth = 0; depth < MAX_REROUTE_DEPTH && level.length > 0; depth++) {
+    const reroutes = await Route.find({ userId: route.userId, 'reroute.from': { $in: level } }).select('_id');
+    level = reroutes.map(r => r._id);
+    routeIds.push(...level);
+  }
+
+  return Trip.findOne({
+    userId: route.userId,
+    status: 'active',
+    route: { $in: routeIds }
+  });
+}
+
+// View a shared route: polyline, ETA, safety score and live trip progress
+router.get('/:token', async (req, res) => {
+  try {
+    const share = await RouteShare.findByToken(req.params.token);
+    if (!share) {
+      return res.status(404).json({ error: 'Shared route not found' });
+    }
+    if (!share.isActive()) {
+      return res.status(410).json({
+        error: share.revokedAt ? 'This link has been revoked' : 'This link has expired'
+      });
+    }
+
+    const route = await Route.findById(share.route);
+    if (!route) {
+      return res.status(404).json({ error: 'Shared route not found' });
+    }
+
+    const [owner, trip] = await Promise.all([
+      User.findById(route.userId).select('firstName'),
+      findActiveTrip(route)
+    ]);
+
+    share.viewCount += 1;
+    share.lastViewedAt = new Date();
+    await share.save();
+
+    // Travelling a re-route: show the line actually being followed, or the shared
+    // route if that re-route is gone
+    const current = (trip && !trip.route.equals(route._id) && await Route.findById(trip.route)) || route;
+
+    res.json({
+      sharedBy: owner ? owner.firstName : undefined,
+      label: share.label,
+      expiresAt: share.expiresAt,
+      route: {
+        origin: current.origin,
+        destination: current.destination,
+        travelMode: current.travelMode,
+        distance: current.routeData.distance,
+        duration: current.routeData.duration,
+        polyline: current.routeData.polyline,
+        safetyScore: current.safetyScore.overall,
+        tags: current.tags,
+        departAt: current.departAt,
+        rerouted: current !== route
+      },
+      eta: trip
+        ? trip.eta || trip.expectedArrivalAt
+        : new Date(current.departAt.getTime() + current.routeData.duration * 1000),
+      trip: trip ? {
+        status: trip.status,
+        startedAt: trip.startedAt,
+        expectedArrivalAt: trip.expectedArrivalAt,
+        lastLocation: trip.lastPing && trip.lastPing.recordedAt ? trip.lastPing.location : undefined,
+        lastUpdatedAt: trip.lastPing && trip.lastPing.recordedAt,
+        distanceRemaining: trip.lastPing && trip.lastPing.distanceRemaining,
+        onRoute: trip.lastPing && trip.lastPing.onRoute
+      } : null
+    });
+  } catch (error) {
+    console.error('Shared route error:', error);
+    res.status(500).json({ error: 'Failed to fetch shared route' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,305 @@
+// routes/trips.js - Trip session API endpoints (start, progress, arrive, abandon)
+const express = require('express');
+const router = express.Router();
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { routeProgress, followReroute } = require('../services/navigation');
+
+// Summary of a trip for API responses, without the full location trail
+function tripSummary(trip) {
+  return {
+    tripId: trip._id,
+    routeId: trip.route._id || trip.route,
+    travelMode: trip.travelMode,
+    status: trip.status,
+    startedAt: trip.startedAt,
+    expectedArrivalAt: trip.expectedArrivalAt,
+    eta: trip.eta || trip.expectedArrivalAt,
+    arrivedAt: trip.arrivedAt,
+    abandonedAt: trip.abandonedAt,
+    abandonReason: trip.abandonReason,
+    delayMinutes: trip.status === 'arrived' ? trip.getDelayMinutes() : undefined,
+    lastPing: trip.lastPing && trip.lastPing.recordedAt ? trip.lastPing : undefined,
+    safetyCheck: {
+      status: trip.safetyCheck.status,
+      reason: trip.safetyCheck.reason,
+      respondBy: trip.safetyCheck.respondBy,
+      escalatedAt: trip.safetyCheck.escalatedAt
+    },
+    trailPoints: trip.isSelected('trail') ? trip.trail.length : undefined
+  };
+}
+
+// Find one of the user's trips, or respond 404/409 and return null
+async function findTrip(req, res, { active = false } = {}) {
+  const trip = await Trip.findOne({ _id: req.params.tripId, userId: req.user.userId });
+
+  if (!trip) {
+    res.status(404).json({ error: 'Trip not found' });
+    return null;
+  }
+  if (active && trip.status !== 'active') {
+    res.status(409).json({ error: `Trip has already ${trip.status === 'arrived' ? 'arrived' : 'been abandoned'}` });
+    return null;
+  }
+  return trip;
+}
+
+// Start a trip along a calculated route
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { routeId } = req.body;
+    if (!routeId) {
+      return res.status(400).json({ error: 'routeId is required' });
+    }
+
+    const route = await Route.findOne({ _id: routeId, userId: req.user.userId });
+    if (!route) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    // One trip at a time: the client must end the current one first
+    const active = await Trip.findActive(req.user.userId);
+    if (active) {
+      return res.status(409).json({
+        error: 'Another trip is already in progress',
+        tripId: active._id
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('preferences.tripSafety');
+    const tripSafety = user && user.preferences.tripSafety;
+
+    const startedAt = new Date();
+    const trip = new Trip({
+      userId: req.user.userId,
+      route: route._id,
+      travelMode: route.travelMode,
+      startedAt,
+      expectedArrivalAt: new Date(startedAt.getTime() + route.routeData.duration * 1000),
+      safetySettings: tripSafety ? {
+        enabled: tripSafety.enabled,
+        overdueGraceMinutes: tripSafety.overdueGraceMinutes,
+        stationaryMinutes: tripSafety.stationaryMinutes,
+        confirmationMinutes: tripSafety.confirmationMinutes
+      } : undefined
+    });
+
+    // Arrival monitoring starts with the trip (see services/tripMonitor.js)
+    trip.scheduleSafetyCheck();
+    try {
+      await trip.save();
+    } catch (error) {
+      // Another start won the race for the one active trip
+      if (error.code === 11000) {
+        const winner = await Trip.findActive(req.user.userId);
+        return res.status(409).json({
+          error: 'Another trip is already in progress',
+          tripId: winner ? winner._id : undefined
+        });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      trip: tripSummary(trip)
+    });
+  } catch (error) {
+    console.error('Trip start error:', error);
+    res.status(500).json({ error: 'Failed to start trip' });
+  }
+});
+
+// Get the user's trip in progress
+router.get('/active', authenticateToken, async (req, res) => {
+  try {
+    const trip = await Trip.findActive(req.user.userId);
+    if (!trip) {
+      return res.status(404).json({ error: 'No trip in progress' });
+    }
+
+    res.json(tripSummary(trip));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch active trip' });
+  }
+});
+
+// Get the user's trip history
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const query = { userId: req.user.userId };
+    if (status) query.status = status;
+
+    const trips = await Trip.find(query)
+      .sort({ startedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-trail')
+      .populate('route', 'origin destination routeData.distance routeData.duration safetyScore.overall travelMode');
+
+    const count = await Trip.countDocuments(query);
+
+    res.json({
+      trips: trips.map(trip => ({
+        ...tripSummary(trip),
+        route: trip.route && trip.route.origin ? {
+          origin: trip.route.origin,
+          destination: trip.route.destination,
+          distance: trip.route.routeData.distance,
+          duration: trip.route.routeData.duration,
+          safetyScore: trip.route.safetyScore.overall
+        } : undefined
+      })),
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch trip history' });
+  }
+});
+
+// Get a trip with its location trail
+router.get('/:tripId', authenticateToken, async (req, res) => {
+  try {
+    const trip = await findTrip(req, res);
+    if (!trip) return;
+
+    res.json({
+      ...tripSummary(trip),
+      trail: trip.trail
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch trip' });
+  }
+});
+
+// Record a progress ping ({ lat, lng, accuracy, routeId }) for a trip in progress; routeId
+// only after switching to a re-route
+router.post('/:tripId/ping', authenticateToken, async (req, res) => {
+  try {
+    const trip = await findTrip(req, res, { active: true });
+    if (!trip) return;
+
+    // A client that accepted a re-route pings with the new routeId
+    const route = await Route.findOne({ _id: req.body.routeId || trip.route, userId: req.user.userId });
+    if (!route) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+    if (!(await followReroute(trip, route))) {
+      return res.status(400).json({ error: 'routeId must be the trip\'s route or a re-route of it' });
+    }
+
+    const now = new Date();
+    const { location, onRoute, distanceFromRoute, progress } = routeProgress(route, req.body, now);
+
+    trip.recordPing({
+      location,
+      accuracy: req.body.accuracy,
+      onRoute,
+      distanceRemaining: progress.distanceRemaining,
+      eta: progress.eta
+    }, now);
+    await trip.save();
+
+    // A pending "are you safe?" check, for clients without the socket channel
+    const { status, reason, respondBy } = trip.safetyCheck;
+
+    res.json({
+      success: true,
+      onRoute,
+      distanceFromRoute,
+      progress,
+      expectedArrivalAt: trip.expectedArrivalAt,
+      safetyCheck: status === 'awaiting-confirmation' ? { status, reason, respondBy } : undefined
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Trip ping error:', error);
+    res.status(500).json({ error: 'Failed to record trip progress' });
+  }
+});
+
+// Confirm the user is safe after an overdue or stationary check
+router.post('/:tripId/safe', authenticateToken, async (req, res) => {
+  try {
+    const trip = await findTrip(req, res, { active: true });
+    if (!trip) return;
+
+    trip.confirmSafe();
+    await trip.save();
+
+    res.json({
+      success: true,
+      message: trip.safetyCheck.escalatedAt
+        ? 'Thanks for confirming. Your emergency contacts were already alerted'
+        : 'Thanks for confirming you are safe',
+      trip: tripSummary(trip)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to confirm safety' });
+  }
+});
+
+// Mark a trip as arrived, optionally with the final position
+router.post('/:tripId/arrive', authenticateToken, async (req, res) => {
+  try {
+    const trip = await findTrip(req, res, { active: true });
+    if (!trip) return;
+
+    const now = new Date();
+    const { lat, lng, accuracy } = req.body;
+    if (Number.isFinite(lat) && Number.isFinite(lng)) {
+      trip.recordPing({ location: { lat, lng }, accuracy, distanceRemaining: 0, eta: now }, now);
+    }
+
+    trip.status = 'arrived';
+    trip.arrivedAt = now;
+    trip.scheduleSafetyCheck();
+    await trip.save();
+
+    // The route counts as completed once a trip along it arrives
+    await Route.findOneAndUpdate(
+      { _id: trip.route, userId: req.user.userId },
+      { isCompleted: true, completedAt: now }
+    );
+
+    res.json({
+      success: true,
+      message: 'Trip completed',
+      trip: tripSummary(trip)
+    });
+  } catch (error) {
+    console.error('Trip arrive error:', error);
+    res.status(500).json({ error: 'Failed to complete trip' });
+  }
+});
+
+// Abandon a trip in progress
+router.post('/:tripId/abandon', authenticateToken, async (req, res) => {
+  try {
+    const trip = await findTrip(req, res, { active: true });
+    if (!trip) return;
+
+    trip.status = 'abandoned';
+    trip.abandonedAt = new Date();
+    trip.abandonReason = req.body.reason;
+    trip.scheduleSafetyCheck();
+    await trip.save();
+
+    res.json({
+      success: true,
+      message: 'Trip abandoned',
+      trip: tripSummary(trip)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to abandon trip' });
+  }
+});
+
+module.exports = router;
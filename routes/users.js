@@ -3,6 +3,8 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
+const { FACTORS, PRESETS, resolveProfile } = require('../services/scoring');
+const { assessReporter } = require('../services/reputation');
 
 // Get user saved places
 router.get('/saved-places', authenticateToken, async (req, res) => {
@@ -119,7 +121,7 @@ router.patch('/preferences', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const { language, theme, notifications, routePreference } = req.body;
+    const { language, theme, notifications, routePreference, safetyProfile, tripSafety } = req.body;
 
     if (language) user.preferences.language = language;
     if (theme) user.preferences.theme = theme;
@@ -128,6 +130,33 @@ router.patch('/preferences', authenticateToken, async (req, res) => {
       ...notifications 
     };
     if (routePreference) user.preferences.routePreference = routePreference;
+    if (safetyProfile) {
+      const { preset, importance, balance } = safetyProfile;
+      if (preset && !PRESETS[preset]) {
+        return res.status(400).json({ error: `Preset must be one of: ${Object.keys(PRESETS).join(', ')}` });
+      }
+      const unknown = Object.keys(importance || {}).filter(factor => !FACTORS.includes(factor));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown safety factors: ${unknown.join(', ')}` });
+      }
+
+      // Choosing a preset starts again from its own importances and balance
+      if (preset) user.set('preferences.safetyProfile', { preset });
+      Object.entries(importance || {}).forEach(([factor, value]) => {
+        user.set(`preferences.safetyProfile.importance.${factor}`, value);
+      });
+      if (balance !== undefined) user.set('preferences.safetyProfile.balance', balance);
+    }
+    if (tripSafety) {
+      ['enabled', 'overdueGraceMinutes', 'stationaryMinutes', 'confirmationMinutes'].forEach(key => {
+        if (tripSafety[key] !== undefined) user.set(`preferences.tripSafety.${key}`, tripSafety[key]);
+      });
+    }
+
+    const validationError = user.validateSync();
+    if (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
 
     await user.save();
 
@@ -141,6 +170,51 @@ router.patch('/preferences', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the safety profile presets and the user's resolved factor weights
+router.get('/safety-presets', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('preferences.safetyProfile');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { travelMode = 'drive' } = req.query;
+    const presets = Object.entries(PRESETS).map(([id, preset]) => ({
+      id,
+      label: preset.label,
+      ...resolveProfile({ preset: id }, travelMode)
+    }));
+
+    res.json({
+      factors: FACTORS,
+      presets,
+      current: resolveProfile(user.preferences.safetyProfile, travelMode)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch safety presets' });
+  }
+});
+
+// Get the user's reputation as a reporter and whether their reports are held for review
+router.get('/reputation', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('reputation createdAt');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { isNewAccount, holdForReview } = assessReporter(user);
+
+    res.json({
+      reputation: user.reputation,
+      isNewAccount,
+      reportsHeldForReview: holdForReview
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch reputation' });
+  }
+});
+
 // Get user statistics
 router.get('/stats', authenticateToken, async (req, res) => {
   try {
@@ -149,7 +223,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
 
     const [routeCount, reportCount, completedRoutes] = await Promise.all([
       Route.countDocuments({ userId: req.user.userId }),
-      SafetyReport.countDocuments({ userId: req.user.userId }),
+      SafetyReport.countDocuments({ userId: req.user.userId, deletedAt: null }),
       Route.countDocuments({ userId: req.user.userId, isCompleted: true })
     ]);
 
@@ -0,0 +1,140 @@
+// scripts/benchmark-route-scoring.js - Compare report lookups for route scoring
+//
+// "before": one SafetyReport.findNearby ($near) query per 10th decoded point, as the
+//           route scorer used to do, counting a report again at every sample that sees it
+// "after":  one SafetyReport.findAlongRoute ($geoWithin corridor) query per route,
+//           each report assigned once to its nearest segment
+//
+// Seeds synthetic reports around generated routes in MONGODB_URI, times both strategies
+// and removes the seeded reports afterwards.
+//
+// Usage: node scripts/benchmark-route-scoring.js [--reports 2000] [--routes 3] [--km 10] [--runs 5]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const SafetyReport = require('../models/SafetyReport');
+const fakeProvider = require('../services/routing/fakeProvider');
+const { REPORT_RADIUS } = require('../services/routeSegments');
+const { decodePolyline } = require('../utils/polyline');
+const { offsetPoint, interpolate } = require('../utils/geo');
+
+const SEED_MARKER = 'benchmark-route-scoring seed report';
+const ORIGIN = { lat: 12.9716, lng: 77.5946 };
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? Number(process.argv[index + 1]) : fallback;
+}
+
+async function seedReports(routes, count) {
+  const userId = new mongoose.Types.ObjectId();
+  const severities = ['low', 'medium', 'high', 'critical'];
+  const types = SafetyReport.schema.path('reportType').enumValues;
+  const docs = [];
+
+  for (let i = 0; i < count; i++) {
+    const points = decodePolyline(routes[i % routes.length].polyline);
+    const onRoute = points[Math.floor(Math.random() * points.length)];
+    const location = offsetPoint(onRoute, Math.random() * 360, Math.random() * 1000);
+    docs.push({
+      userId,
+      reportType: types[i % types.length],
+      severity: severities[i % severities.length],
+      description: SEED_MARKER,
+      location: {
+        type: 'Point',
+        coordinates: [location.lng, location.lat],
+        address: 'Benchmark'
+      }
+    });
+  }
+
+  await SafetyReport.insertMany(docs);
+}
+
+// The pre-corridor lookup: one $near query per sampled point
+async function perPointLookup(polyline) {
+  const samplePoints = decodePolyline(polyline).filter((_, index) => index % 10 === 0);
+  let counted = 0;
+  for (const point of samplePoints) {
+    const nearbyReports = await SafetyReport.findNearby([point.lng, point.lat], 500);
+    counted += nearbyReports.length;
+  }
+  return counted;
+}
+
+async function corridorLookup(polyline) {
+  const reports = await SafetyReport.findAlongRoute(decodePolyline(polyline), REPORT_RADIUS);
+  return reports.length;
+}
+
+async function measure(label, lookup, routes, runs) {
+  let queries = 0;
+  mongoose.set('debug', (collection) => {
+    if (collection === SafetyReport.collection.collectionName) queries++;
+  });
+
+  const timings = [];
+  let counted = 0;
+  for (let run = 0; run < runs; run++) {
+    const start = process.hrtime.bigint();
+    counted = 0;
+    for (const route of routes) {
+      counted += await lookup(route.polyline);
+    }
+    timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  mongoose.set('debug', false);
+  timings.sort((a, b) => a - b);
+  return {
+    strategy: label,
+    'queries / calculation': queries / runs,
+    'reports counted': counted,
+    'median ms': Math.round(timings[Math.floor(timings.length / 2)]),
+    'max ms': Math.round(timings[timings.length - 1])
+  };
+}
+
+async function main() {
+  const reportCount = option('reports', 2000);
+  const routeCount = option('routes', 3);
+  const km = option('km', 10);
+  const runs = option('runs', 5);
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/safety-route-navigator');
+  await SafetyReport.init();
+
+  try {
+    // Routes fanning out from the origin, like a set of provider alternatives
+    const destination = offsetPoint(ORIGIN, 45, km * 1000);
+    const routes = [];
+    for (let i = 0; i < routeCount; i++) {
+      const via = offsetPoint(interpolate(ORIGIN, destination, 0.5), 135, (i - (routeCount - 1) / 2) * 800);
+      const [route] = await fakeProvider.getRoutes({
+        origin: ORIGIN,
+        destination,
+        waypoints: [{ ...via, stopover: false }],
+        alternatives: false
+      });
+      routes.push(route);
+    }
+
+    await seedReports(routes, reportCount);
+
+    const results = [
+      await measure('before: per-point $near', perPointLookup, routes, runs),
+      await measure('after: $geoWithin corridor', corridorLookup, routes, runs)
+    ];
+
+    console.log(`\n${routeCount} routes of ~${km} km, ${reportCount} seeded reports, ${runs} runs\n`);
+    console.table(results);
+  } finally {
+    await SafetyReport.deleteMany({ description: SEED_MARKER });
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('✗ Benchmark failed:', error.message);
+  process.exit(1);
+});
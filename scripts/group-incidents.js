@@ -0,0 +1,35 @@
+// scripts/group-incidents.js - Group reports made before incidents existed into incidents
+//
+// Usage: node scripts/group-incidents.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const SafetyReport = require('../models/SafetyReport');
+const { linkToIncident } = require('../services/incidents');
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/safety-route-navigator');
+  try {
+    // Oldest first, so each incident starts at its first report
+    const cursor = SafetyReport.find({ incident: { $exists: false }, deletedAt: null })
+      .sort({ timeOfIncident: 1 })
+      .cursor();
+
+    let linked = 0;
+    let duplicates = 0;
+    for await (const report of cursor) {
+      const { incident } = await linkToIncident(report);
+      await report.save();
+      linked++;
+      if (incident.reportCount > 1) duplicates++;
+    }
+
+    console.log(`✓ Grouped ${linked} reports into incidents (${duplicates} joined an existing incident)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('✗ Grouping failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,38 @@
+// scripts/import-geodata.js - Import a geodata file from the command line
+//
+// Usage: node scripts/import-geodata.js <layer> <file.geojson|file.csv> [--source name] [--replace]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { importDataset } = require('../services/geodata/importer');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [layer, file] = args.filter(arg => !arg.startsWith('--'));
+  const sourceIndex = args.indexOf('--source');
+  const source = sourceIndex !== -1 ? args[sourceIndex + 1] : path.basename(file || '');
+  const replace = args.includes('--replace');
+
+  if (!layer || !file) {
+    console.error('Usage: node scripts/import-geodata.js <layer> <file> [--source name] [--replace]');
+    process.exit(1);
+  }
+
+  const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'geojson';
+  const data = fs.readFileSync(file, 'utf8');
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/safety-route-navigator');
+  try {
+    const result = await importDataset({ layer, format, data, source, replace });
+    console.log(`✓ Imported ${result.imported} ${layer} features from ${source}` +
+      ` (${result.skipped} skipped, ${result.replaced} replaced)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('✗ Import failed:', error.message);
+  process.exit(1);
+});
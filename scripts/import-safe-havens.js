@@ -0,0 +1,43 @@
+// scripts/import-safe-havens.js - Import safe havens from the command line
+//
+// Usage: node scripts/import-safe-havens.js <file.geojson|file.csv> [--category name] [--source name] [--replace]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { importSafeHavens } = require('../services/safeHavens');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const optionValues = [option('--category'), option('--source')];
+  const [file] = args.filter(arg => !arg.startsWith('--') && !optionValues.includes(arg));
+  const source = option('--source') || path.basename(file || '');
+  const category = option('--category');
+  const replace = args.includes('--replace');
+
+  if (!file) {
+    console.error('Usage: node scripts/import-safe-havens.js <file> [--category name] [--source name] [--replace]');
+    process.exit(1);
+  }
+
+  const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'geojson';
+  const data = fs.readFileSync(file, 'utf8');
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/safety-route-navigator');
+  try {
+    const result = await importSafeHavens({ format, data, source, category, replace });
+    console.log(`✓ Imported ${result.imported} safe havens from ${source}` +
+      ` (${result.skipped} skipped, ${result.kept} kept as curated, ${result.replaced} replaced)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('✗ Import failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+// scripts/refresh-reputation.js - Recount every reporter's reputation from their reports
+//
+// Usage: node scripts/refresh-reputation.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const SafetyReport = require('../models/SafetyReport');
+const { LOW_REPUTATION, refreshReputation } = require('../services/reputation');
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/safety-route-navigator');
+  try {
+    const reporters = await SafetyReport.distinct('userId');
+
+    let refreshed = 0;
+    let lowReputation = 0;
+    for (const userId of reporters) {
+      const reputation = await refreshReputation(userId);
+      if (!reputation) continue;
+      refreshed++;
+      if (reputation.score < LOW_REPUTATION) lowReputation++;
+    }
+
+    console.log(`✓ Refreshed the reputation of ${refreshed} reporters (${lowReputation} below ${LOW_REPUTATION})`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('✗ Refreshing reputations failed:', error.message);
+  process.exit(1);
+});
@@ -12,6 +12,15 @@ const routeRoutes = require('./routes/routes');
 const reportRoutes = require('./routes/reports');
 const userRoutes = require('./routes/users');
 const emergencyRoutes = require('./routes/emergency');
+const geodataRoutes = require('./routes/geodata');
+const tripRoutes = require('./routes/trips');
+const sharedRoutes = require('./routes/shared');
+const placeRoutes = require('./routes/places');
+const safeHavenRoutes = require('./routes/safeHavens');
+const moderationRoutes = require('./routes/moderation');
+const { registerNavigationHandlers } = require('./services/navigationSocket');
+const { registerUserHandlers } = require('./services/userSocket');
+const { startTripMonitor } = require('./services/tripMonitor');
 
 const app = express();
 const server = http.createServer(app);
@@ -36,7 +45,11 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/safety-ro
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✓ MongoDB Connected Successfully'))
+.then(() => {
+  console.log('✓ MongoDB Connected Successfully');
+  // Overdue-arrival checks resume from the schedule stored on each trip
+  startTripMonitor(io);
+})
 .catch((err) => console.error('✗ MongoDB Connection Error:', err));
 
 // Make io accessible to routes
@@ -48,6 +61,12 @@ app.use('/api/routes', routeRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/emergency', emergencyRoutes);
+app.use('/api/geodata', geodataRoutes);
+app.use('/api/trips', tripRoutes);
+app.use('/api/shared', sharedRoutes);
+app.use('/api/places', placeRoutes);
+app.use('/api/safe-havens', safeHavenRoutes);
+app.use('/api/moderation', moderationRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -93,6 +112,12 @@ io.on('connection', (socket) => {
     io.to(data.region).emit('safety-notification', data);
   });
 
+  // The user's own room, for trip safety checks
+  registerUserHandlers(socket);
+
+  // Live position tracking and re-routing for a chosen route
+  registerNavigationHandlers(socket);
+
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
   });
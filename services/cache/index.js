@@ -0,0 +1,34 @@
+// services/cache/index.js - Cache store selection
+//
+// Stores expose get(key), set(key, value, ttlSeconds), del(keys),
+// addToIndex(indexKey, member, ttlSeconds), popIndex(indexKey) and clear().
+// Values are JSON-serialized.
+const { createMemoryStore } = require('./memoryStore');
+const { createRedisStore } = require('./redisStore');
+
+let store = null;
+
+// Get the shared store, picked by CACHE_BACKEND (memory or redis)
+function getCacheStore() {
+  if (store) return store;
+
+  const backend = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+  if (backend === 'redis') {
+    store = createRedisStore();
+  } else if (backend === 'memory') {
+    store = createMemoryStore();
+  } else {
+    throw new Error(`Unknown cache backend: ${backend}`);
+  }
+  return store;
+}
+
+// Swap the shared store (tests)
+function setCacheStore(newStore) {
+  store = newStore;
+}
+
+module.exports = {
+  getCacheStore,
+  setCacheStore
+};
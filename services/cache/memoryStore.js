@@ -0,0 +1,60 @@
+// services/cache/memoryStore.js - In-process cache store (single instance, tests)
+
+// Create a store with the same interface as the Redis store
+function createMemoryStore() {
+  const values = new Map(); // key -> { value, expiresAt }
+  const indexes = new Map(); // index key -> { members: Set, expiresAt }
+
+  const isExpired = (entry) => entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  const expiry = (ttl) => (ttl ? Date.now() + ttl * 1000 : null);
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = values.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        values.delete(key);
+        return null;
+      }
+      return JSON.parse(entry.value);
+    },
+
+    async set(key, value, ttl) {
+      values.set(key, { value: JSON.stringify(value), expiresAt: expiry(ttl) });
+    },
+
+    async del(keys) {
+      keys.forEach(key => values.delete(key));
+    },
+
+    // Remember `member` under an index key (used to find entries to invalidate)
+    async addToIndex(indexKey, member, ttl) {
+      const entry = indexes.get(indexKey);
+      if (!entry || isExpired(entry)) {
+        indexes.set(indexKey, { members: new Set([member]), expiresAt: expiry(ttl) });
+        return;
+      }
+      // Entries share one TTL, so the newest member always lives longest
+      entry.members.add(member);
+      entry.expiresAt = expiry(ttl);
+    },
+
+    // Remove an index key and return its members
+    async popIndex(indexKey) {
+      const entry = indexes.get(indexKey);
+      indexes.delete(indexKey);
+      return entry && !isExpired(entry) ? [...entry.members] : [];
+    },
+
+    async clear() {
+      values.clear();
+      indexes.clear();
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
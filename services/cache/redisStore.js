@@ -0,0 +1,64 @@
+// services/cache/redisStore.js - Redis cache store, configured from the REDIS_* env vars
+const Redis = require('ioredis');
+
+function createRedisStore({ prefix = 'novasafe:' } = {}) {
+  const client = new Redis({
+    host: process.env.REDIS_HOST || 'localhost',
+    port: parseInt(process.env.REDIS_PORT || '6379'),
+    password: process.env.REDIS_PASSWORD || undefined,
+    keyPrefix: prefix,
+    // Fail fast instead of queueing commands while Redis is down
+    maxRetriesPerRequest: 1,
+    enableOfflineQueue: false
+  });
+
+  client.on('error', (error) => {
+    console.error('Redis cache error:', error.message);
+  });
+
+  return {
+    name: 'redis',
+    client,
+
+    async get(key) {
+      const value = await client.get(key);
+      return value ? JSON.parse(value) : null;
+    },
+
+    async set(key, value, ttl) {
+      if (ttl) {
+        await client.set(key, JSON.stringify(value), 'EX', ttl);
+      } else {
+        await client.set(key, JSON.stringify(value));
+      }
+    },
+
+    async del(keys) {
+      if (keys.length > 0) await client.del(...keys);
+    },
+
+    async addToIndex(indexKey, member, ttl) {
+      // Entries share one TTL, so the newest member always lives longest
+      const pipeline = client.multi().sadd(indexKey, member);
+      if (ttl) pipeline.expire(indexKey, ttl);
+      await pipeline.exec();
+    },
+
+    async popIndex(indexKey) {
+      const [[, members]] = await client.multi().smembers(indexKey).del(indexKey).exec();
+      return members || [];
+    },
+
+    async clear() {
+      // keyPrefix is not applied to SCAN patterns, so match on it explicitly
+      const stream = client.scanStream({ match: `${prefix}*` });
+      for await (const keys of stream) {
+        if (keys.length > 0) await client.del(...keys.map(key => key.slice(prefix.length)));
+      }
+    }
+  };
+}
+
+module.exports = {
+  createRedisStore
+};
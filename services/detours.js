@@ -0,0 +1,119 @@
+// services/detours.js - Safer detours around report hotspots on candidate routes
+//
+// Provider alternatives can all pass the same cluster of serious reports. For each
+// candidate we take the hotspots found while scoring it, push an avoidance waypoint out to the side of
+// each one and ask the provider to route through them.
+const { decodePolyline } = require('../utils/polyline');
+const { haversineDistance, bearing, offsetPoint, nearestPointIndex } = require('../utils/geo');
+
+const CLEARANCE = 600; // meters between an avoidance waypoint and the hotspot edge, beyond the scoring radius
+const ON_ROUTE_DISTANCE = 50; // hotspots this close to the line can be avoided on either side
+const MAX_DETOUR_REQUESTS = 4; // provider calls per calculation
+
+// Candidate waypoints beside a hotspot: on the far side of the route from it,
+// or on both sides when the hotspot sits on the route itself
+function avoidanceWaypoints(routePoints, hotspot) {
+  const index = hotspot.routeIndex;
+  const before = routePoints[Math.max(0, index - 3)];
+  const after = routePoints[Math.min(routePoints.length - 1, index + 3)];
+  const heading = bearing(before, after);
+  const onRoute = routePoints[index];
+  const distance = hotspot.radius + CLEARANCE;
+
+  const left = offsetPoint(onRoute, heading - 90, distance);
+  const right = offsetPoint(onRoute, heading + 90, distance);
+
+  if (haversineDistance(onRoute, hotspot.center) <= ON_ROUTE_DISTANCE) {
+    return [left, right];
+  }
+
+  // Positive means the hotspot lies to the right of the direction of travel
+  const side = Math.sin((bearing(onRoute, hotspot.center) - heading) * Math.PI / 180);
+  return side > 0 ? [left] : [right];
+}
+
+// Stops and avoidance points as one waypoint list, in the order the base route reaches them
+function mergeWithStops(routePoints, avoidance, stops) {
+  let searchFrom = 0;
+  const stopPoints = stops.map(stop => {
+    searchFrom += nearestPointIndex(routePoints.slice(searchFrom), stop);
+    return { point: { lat: stop.lat, lng: stop.lng, stopover: true }, routeIndex: searchFrom };
+  });
+  const avoidancePoints = avoidance.map(({ point, routeIndex }) => ({
+    point: { ...point, stopover: false },
+    routeIndex
+  }));
+
+  // Stable sort keeps stops ahead of avoidance points at the same index
+  return [...stopPoints, ...avoidancePoints]
+    .sort((a, b) => a.routeIndex - b.routeIndex)
+    .map(waypoint => waypoint.point);
+}
+
+// Ask the provider for detours around the hotspots on each scored candidate
+// ({ route, safetyScore }). Resolves to [{ baseIndex, route, waypoints, hotspots }],
+// one per distinct detour; `waypoints` are the avoidance points only.
+async function generateDetours(provider, candidates, { origin, destination, stops = [], travelMode }) {
+  // Transit itineraries cannot be steered through waypoints
+  if (travelMode === 'transit') return [];
+
+  const plans = [];
+  for (const [baseIndex, { route, safetyScore }] of candidates.entries()) {
+    const hotspots = safetyScore.hotspots || [];
+    if (hotspots.length === 0) continue;
+
+    const routePoints = decodePolyline(route.polyline);
+    const options = hotspots.map(hotspot => avoidanceWaypoints(routePoints, hotspot));
+    const plan = (waypoints) => ({
+      baseIndex,
+      hotspots,
+      waypoints,
+      routeWaypoints: mergeWithStops(
+        routePoints,
+        waypoints.map((point, i) => ({ point, routeIndex: hotspots[i].routeIndex })),
+        stops
+      )
+    });
+
+    // First choice for every hotspot, then the other side of the first ambiguous one
+    plans.push(plan(options.map(o => o[0])));
+    const ambiguous = options.findIndex(o => o.length > 1);
+    if (ambiguous !== -1) {
+      plans.push(plan(options.map((o, i) => (i === ambiguous ? o[1] : o[0]))));
+    }
+  }
+
+  const detours = [];
+  const seen = new Set(candidates.map(candidate => candidate.route.polyline));
+
+  for (const plan of plans.slice(0, MAX_DETOUR_REQUESTS)) {
+    try {
+      const [route] = await provider.getRoutes({
+        origin,
+        destination,
+        waypoints: plan.routeWaypoints,
+        mode: travelMode,
+        alternatives: false
+      });
+
+      if (route && !seen.has(route.polyline)) {
+        seen.add(route.polyline);
+        detours.push({
+          baseIndex: plan.baseIndex,
+          hotspots: plan.hotspots,
+          waypoints: plan.waypoints,
+          route
+        });
+      }
+    } catch (error) {
+      // A failed detour request only means one fewer option
+      console.error('Detour request failed:', error.details || error.message);
+    }
+  }
+
+  return detours;
+}
+
+module.exports = {
+  generateDetours
+};
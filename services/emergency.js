@@ -0,0 +1,64 @@
+// services/emergency.js - Emergency alerts to a user's contacts and nearby users
+//
+// Shared by the SOS endpoint and automatic escalations (e.g. overdue trips), so every
+// alert reaches contacts the same way.
+
+// Alert the user's emergency contacts and, unless `broadcast` is false, nearby users.
+// `location` is { lat, lng, address }; `type` tells clients why the alert was raised.
+async function sendEmergencyAlert(io, user, { location, message, type = 'sos', broadcast = true }) {
+  // Prepare emergency alert data
+  const alertData = {
+    userId: user._id,
+    userName: `${user.firstName} ${user.lastName}`,
+    userPhone: user.phone,
+    type,
+    location: {
+      lat: location.lat,
+      lng: location.lng,
+      address: location.address || 'Address not available'
+    },
+    message: message || 'Emergency SOS triggered',
+    timestamp: new Date().toISOString()
+  };
+
+  // Send alerts to emergency contacts
+  if (user.emergencyContacts && user.emergencyContacts.length > 0) {
+    // In production, implement actual SMS/Call services here
+    // Using Twilio or similar service
+    console.log('Sending emergency alerts to:', user.emergencyContacts);
+    
+    // Example Twilio implementation:
+    // const twilio = require('twilio');
+    // const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    // 
+    // for (const contact of user.emergencyContacts) {
+    //   await client.messages.create({
+    //     body: `EMERGENCY ALERT: ${alertData.userName}: ${alertData.message}. Location: ${alertData.location.address}. View live location: [LINK]`,
+    //     from: process.env.TWILIO_PHONE_NUMBER,
+    //     to: contact.phone
+    //   });
+    // }
+  }
+
+  // Broadcast to nearby users via WebSocket
+  if (io && broadcast) {
+    io.emit('emergency-alert', {
+      type,
+      location: alertData.location,
+      severity: 'critical',
+      timestamp: alertData.timestamp
+    });
+  }
+
+  // Log the emergency event
+  console.log(`${type.toUpperCase()} ALERT TRIGGERED:`, alertData);
+
+  return {
+    alertData,
+    alertsSent: user.emergencyContacts?.length || 0
+  };
+}
+
+module.exports = {
+  sendEmergencyAlert
+};
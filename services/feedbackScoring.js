@@ -0,0 +1,101 @@
+// services/feedbackScoring.js - Completed-trip feedback as an input to route scoring
+//
+// Feedback on a completed route is spread over the grid cells the route passes
+// through. A cell only counts once enough different people have given feedback there,
+// so one bad night, or one person, does not mark a street. Cells then nudge the
+// communityReports factor of any route or segment crossing them, up where people felt
+// safe and down where they did not.
+const FeedbackCell = require('../models/FeedbackCell');
+const { decodePolyline } = require('../utils/polyline');
+const { resamplePath, gridCell } = require('../utils/geo');
+
+const CELL_SIZE = 0.0025; // degrees, ~275 m
+const SAMPLE_SPACING = 50; // meters between points checked along a path
+const MIN_USERS = 3; // distinct users a cell needs feedback from before it is used
+const MIN_WEIGHT = 1; // decayed samples below which a cell's feedback is too old to use
+const NEUTRAL_SCORE = 7; // cells scoring this leave a route unchanged
+const FEEDBACK_WEIGHT = 0.5; // communityReports points per point of cell score difference
+
+const cellKey = ([row, col]) => `${row}:${col}`;
+
+// Distinct cells along a path, with their centers
+function cellsAlongPath(points) {
+  const cells = new Map();
+  resamplePath(points, SAMPLE_SPACING).forEach(point => {
+    const [row, col] = gridCell(point, CELL_SIZE);
+    const key = cellKey([row, col]);
+    if (!cells.has(key)) {
+      cells.set(key, { lat: (row + 0.5) * CELL_SIZE, lng: (col + 0.5) * CELL_SIZE });
+    }
+  });
+  return cells;
+}
+
+// 0-10 score for a cell from its decayed sums, or null while too few people have given
+// feedback there or it is all old. Felt-safe share and average rating count equally
+// when both are present.
+function cellScore(cell, now = new Date()) {
+  const { weight, safeWeight, ratingWeight, ratingSum } = cell.getDecayed(now);
+  if (cell.users.length < MIN_USERS || weight < MIN_WEIGHT) return null;
+
+  const safeShare = safeWeight / weight;
+  if (ratingWeight < MIN_WEIGHT) return safeShare * 10;
+
+  const ratingShare = (ratingSum / ratingWeight - 1) / 4;
+  return (safeShare * 0.5 + ratingShare * 0.5) * 10;
+}
+
+// Add a completed route's feedback ({ feltSafe, rating }) to the cells it crossed.
+// Resolves to the centers of the cells that now have enough feedback to count.
+async function recordRouteFeedback(route, feedback, now = new Date()) {
+  const cells = cellsAlongPath(decodePolyline(route.routeData.polyline));
+
+  await Promise.all([...cells.entries()].map(async ([key, center]) => {
+    await FeedbackCell.addSample(key, center, feedback, now);
+
+    // Users are only remembered until there are enough for the cell to count
+    await FeedbackCell.updateOne(
+      { cell: key, [`users.${MIN_USERS - 1}`]: { $exists: false } },
+      { $addToSet: { users: route.userId } }
+    );
+  }));
+
+  const updated = await FeedbackCell.find({ cell: { $in: [...cells.keys()] } });
+  return updated
+    .filter(cell => cellScore(cell, now) !== null)
+    .map(cell => cell.center);
+}
+
+// Scores of the qualifying cells along a path: Map of cell key -> 0-10
+async function loadFeedbackScores(points, now = new Date()) {
+  const keys = [...cellsAlongPath(points).keys()];
+  const cells = await FeedbackCell.find({ cell: { $in: keys } });
+
+  const scores = new Map();
+  cells.forEach(cell => {
+    const score = cellScore(cell, now);
+    if (score !== null) scores.set(cell.cell, score);
+  });
+  return scores;
+}
+
+// communityReports adjustment for a path: the average, over points every
+// SAMPLE_SPACING meters, of how far each point's cell is from neutral. Points in
+// cells without enough feedback count as neutral.
+function feedbackImpact(points, scores) {
+  if (scores.size === 0 || points.length === 0) return 0;
+
+  const samples = resamplePath(points, SAMPLE_SPACING);
+  const total = samples.reduce((sum, point) => {
+    const score = scores.get(cellKey(gridCell(point, CELL_SIZE)));
+    return sum + (score === undefined ? 0 : (score - NEUTRAL_SCORE) * FEEDBACK_WEIGHT);
+  }, 0);
+
+  return total / samples.length;
+}
+
+module.exports = {
+  recordRouteFeedback,
+  loadFeedbackScores,
+  feedbackImpact
+};
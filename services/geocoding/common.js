@@ -0,0 +1,24 @@
+// services/geocoding/common.js - Helpers shared by the geocoding provider adapters
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 10;
+
+// Error thrown when a provider lookup fails; `status` is picked up by the handlers
+function geocodingError(details, status = 502) {
+  const error = new Error('Address lookup failed');
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+// Number of results to return, within 1..MAX_LIMIT
+function resultLimit(limit) {
+  const value = parseInt(limit) || DEFAULT_LIMIT;
+  return Math.min(Math.max(value, 1), MAX_LIMIT);
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  geocodingError,
+  resultLimit
+};
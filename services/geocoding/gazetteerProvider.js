@@ -0,0 +1,109 @@
+// services/geocoding/gazetteerProvider.js - Offline geocoder backed by a local place list
+//
+// Matches queries word by word against each place's name, aliases and address, so
+// lookups work with no network access (tests, local development).
+const fs = require('fs');
+const path = require('path');
+const { haversineDistance } = require('../../utils/geo');
+const { resultLimit } = require('./common');
+
+const DEFAULT_GAZETTEER_PATH = path.join(__dirname, '../../fixtures/geocoding/places.json');
+const REVERSE_RADIUS = 500; // meters; further from every place, reverse lookups find nothing
+
+let places = null;
+
+const words = (text) => String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+function loadPlaces() {
+  if (places) return places;
+
+  const gazetteerPath = process.env.GAZETTEER_PATH || DEFAULT_GAZETTEER_PATH;
+  const entries = fs.existsSync(gazetteerPath)
+    ? JSON.parse(fs.readFileSync(gazetteerPath, 'utf8')).places || []
+    : [];
+
+  places = entries.map(entry => ({
+    place: {
+      placeId: entry.placeId,
+      name: entry.name,
+      address: entry.address,
+      location: entry.location,
+      types: entry.types || []
+    },
+    names: [entry.name, ...(entry.aliases || [])].map(words),
+    addressWords: words(entry.address)
+  }));
+  return places;
+}
+
+// How well a place matches the query words: every word must appear in the name,
+// an alias or the address. Matches on the name rank above matches on the address.
+// With `partial`, the last word only has to be the start of a word (typing).
+function matchScore(entry, queryWords, partial) {
+  const matches = (candidates, word, isLast) => candidates.some(candidate =>
+    candidate === word || (partial && isLast && candidate.startsWith(word)));
+
+  let score = 0;
+  for (let i = 0; i < queryWords.length; i++) {
+    const isLast = i === queryWords.length - 1;
+    if (entry.names.some(name => matches(name, queryWords[i], isLast))) {
+      score += 2;
+    } else if (matches(entry.addressWords, queryWords[i], isLast)) {
+      score += 1;
+    } else {
+      return 0;
+    }
+  }
+  return score;
+}
+
+function findPlaces(query, { near, limit }, partial) {
+  const queryWords = words(query);
+  if (queryWords.length === 0) return [];
+
+  return loadPlaces()
+    .map(entry => ({ entry, score: matchScore(entry, queryWords, partial) }))
+    .filter(({ score }) => score > 0)
+    .map(({ entry, score }) => ({
+      place: entry.place,
+      score,
+      distance: near ? haversineDistance(near, entry.place.location) : 0
+    }))
+    .sort((a, b) => b.score - a.score || a.distance - b.distance)
+    .slice(0, resultLimit(limit))
+    .map(({ place }) => ({ ...place }));
+}
+
+async function search(query, options = {}) {
+  return findPlaces(query, options, false);
+}
+
+async function autocomplete(query, options = {}) {
+  return findPlaces(query, options, true);
+}
+
+async function lookup(placeId) {
+  const entry = loadPlaces().find(e => e.place.placeId === placeId);
+  return entry ? { ...entry.place } : null;
+}
+
+async function reverse(location) {
+  let nearest = null;
+  let nearestDistance = REVERSE_RADIUS;
+  loadPlaces().forEach(entry => {
+    const distance = haversineDistance(location, entry.place.location);
+    if (distance <= nearestDistance) {
+      nearest = entry.place;
+      nearestDistance = distance;
+    }
+  });
+  return nearest && { ...nearest };
+}
+
+module.exports = {
+  name: 'gazetteer',
+  search,
+  autocomplete,
+  lookup,
+  reverse
+};
@@ -0,0 +1,88 @@
+// services/geocoding/googleProvider.js - Google Geocoding and Places API adapter
+const axios = require('axios');
+const { geocodingError, resultLimit } = require('./common');
+
+const GEOCODE_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
+const AUTOCOMPLETE_URL = 'https://maps.googleapis.com/maps/api/place/autocomplete/json';
+const DETAILS_URL = 'https://maps.googleapis.com/maps/api/place/details/json';
+const BIAS_RADIUS = 20000; // meters around `near` that autocomplete prefers
+
+const toLatLng = (point) => `${point.lat},${point.lng}`;
+
+// Google answers ZERO_RESULTS for lookups that simply found nothing
+function checkStatus(data) {
+  if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
+    throw geocodingError(data.status);
+  }
+}
+
+function toPlace(result) {
+  return {
+    placeId: result.place_id,
+    name: result.name || result.formatted_address.split(',')[0],
+    address: result.formatted_address,
+    location: result.geometry.location,
+    types: result.types || []
+  };
+}
+
+async function search(query, { near, limit } = {}) {
+  const params = { address: query, key: process.env.GOOGLE_MAPS_API_KEY };
+  if (near) {
+    // Geocoding only takes a bounding box as a bias: about 10 km either way
+    params.bounds = `${near.lat - 0.1},${near.lng - 0.1}|${near.lat + 0.1},${near.lng + 0.1}`;
+  }
+
+  const response = await axios.get(GEOCODE_URL, { params });
+  checkStatus(response.data);
+  return response.data.results.slice(0, resultLimit(limit)).map(toPlace);
+}
+
+async function autocomplete(query, { near, limit } = {}) {
+  const params = { input: query, key: process.env.GOOGLE_MAPS_API_KEY };
+  if (near) {
+    params.location = toLatLng(near);
+    params.radius = BIAS_RADIUS;
+  }
+
+  const response = await axios.get(AUTOCOMPLETE_URL, { params });
+  checkStatus(response.data);
+  return response.data.predictions.slice(0, resultLimit(limit)).map(prediction => ({
+    placeId: prediction.place_id,
+    name: prediction.structured_formatting
+      ? prediction.structured_formatting.main_text
+      : prediction.description.split(',')[0],
+    address: prediction.description,
+    types: prediction.types || []
+  }));
+}
+
+async function lookup(placeId) {
+  const response = await axios.get(DETAILS_URL, {
+    params: {
+      place_id: placeId,
+      fields: 'place_id,name,formatted_address,geometry,types',
+      key: process.env.GOOGLE_MAPS_API_KEY
+    }
+  });
+
+  if (response.data.status === 'NOT_FOUND' || response.data.status === 'INVALID_REQUEST') return null;
+  checkStatus(response.data);
+  return response.data.result ? toPlace(response.data.result) : null;
+}
+
+async function reverse(location) {
+  const response = await axios.get(GEOCODE_URL, {
+    params: { latlng: toLatLng(location), key: process.env.GOOGLE_MAPS_API_KEY }
+  });
+  checkStatus(response.data);
+  return response.data.results.length > 0 ? toPlace(response.data.results[0]) : null;
+}
+
+module.exports = {
+  name: 'google',
+  search,
+  autocomplete,
+  lookup,
+  reverse
+};
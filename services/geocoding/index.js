@@ -0,0 +1,33 @@
+// services/geocoding/index.js - Geocoding provider selection
+//
+// Every provider exposes:
+//   search(query, { near, limit })        free-text lookup, best match first
+//   autocomplete(query, { near, limit })  suggestions while the user is typing
+//   lookup(placeId)                       a suggestion's place, or null
+//   reverse({ lat, lng })                 the place at a location, or null
+// Places share one shape: { placeId, name, address, location: { lat, lng }, types }.
+// Suggestions may leave out `location`; pass their placeId to lookup() to get it.
+// `near` ({ lat, lng }) biases results towards a location.
+const googleProvider = require('./googleProvider');
+const nominatimProvider = require('./nominatimProvider');
+const gazetteerProvider = require('./gazetteerProvider');
+
+const providers = {
+  google: googleProvider,
+  nominatim: nominatimProvider,
+  gazetteer: gazetteerProvider
+};
+
+// Resolve a provider by name, defaulting to GEOCODING_PROVIDER (or Google)
+function getGeocodingProvider(name = process.env.GEOCODING_PROVIDER || 'google') {
+  const provider = providers[name.toLowerCase()];
+  if (!provider) {
+    throw new Error(`Unknown geocoding provider: ${name}`);
+  }
+  return provider;
+}
+
+module.exports = {
+  getGeocodingProvider,
+  providers
+};
@@ -0,0 +1,71 @@
+// services/geocoding/nominatimProvider.js - Nominatim (OpenStreetMap) adapter
+//
+// The public server asks for an identifying User-Agent and at most one request per
+// second; point NOMINATIM_BASE_URL at your own instance for real traffic.
+const axios = require('axios');
+const { geocodingError, resultLimit } = require('./common');
+
+const USER_AGENT = 'safety-route-navigator';
+
+function baseUrl() {
+  return process.env.NOMINATIM_BASE_URL || 'https://nominatim.openstreetmap.org';
+}
+
+async function request(path, params) {
+  try {
+    const response = await axios.get(`${baseUrl()}${path}`, {
+      params: { format: 'jsonv2', ...params },
+      headers: { 'User-Agent': USER_AGENT }
+    });
+    return response.data;
+  } catch (error) {
+    throw geocodingError(error.response ? `HTTP_${error.response.status}` : error.code);
+  }
+}
+
+// Nominatim ids need the OSM element type to be looked up again, e.g. "N240109189"
+function toPlace(result) {
+  return {
+    placeId: `${result.osm_type[0].toUpperCase()}${result.osm_id}`,
+    name: result.name || result.display_name.split(',')[0],
+    address: result.display_name,
+    location: { lat: parseFloat(result.lat), lng: parseFloat(result.lon) },
+    types: [result.category || result.class, result.type].filter(Boolean)
+  };
+}
+
+async function search(query, { near, limit } = {}) {
+  const params = { q: query, limit: resultLimit(limit) };
+  if (near) {
+    // Prefer, but do not require, results within about 10 km
+    params.viewbox = [near.lng - 0.1, near.lat + 0.1, near.lng + 0.1, near.lat - 0.1].join(',');
+  }
+
+  const results = await request('/search', params);
+  return results.map(toPlace);
+}
+
+// Nominatim has no dedicated autocomplete; a search on the partial text serves
+async function autocomplete(query, options) {
+  return search(query, options);
+}
+
+async function lookup(placeId) {
+  if (!/^[NWR]\d+$/.test(placeId)) return null;
+
+  const results = await request('/lookup', { osm_ids: placeId });
+  return results.length > 0 ? toPlace(results[0]) : null;
+}
+
+async function reverse(location) {
+  const result = await request('/reverse', { lat: location.lat, lon: location.lng });
+  return result && !result.error ? toPlace(result) : null;
+}
+
+module.exports = {
+  name: 'nominatim',
+  search,
+  autocomplete,
+  lookup,
+  reverse
+};
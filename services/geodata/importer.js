@@ -0,0 +1,193 @@
+// services/geodata/importer.js - Import GeoJSON / CSV datasets into geodata layers
+const GeoFeature = require('../../models/GeoFeature');
+
+const LINE_LAYERS = ['road'];
+
+// Column names accepted for coordinates in CSV files
+const LAT_COLUMNS = ['lat', 'latitude', 'y'];
+const LNG_COLUMNS = ['lng', 'lon', 'long', 'longitude', 'x'];
+
+// Property names that carry a road's class in common open-data exports (OSM uses `highway`)
+const ROAD_CLASS_PROPERTIES = ['roadClass', 'road_class', 'highway', 'class', 'fclass'];
+
+function importError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const isValidPosition = (position) =>
+  Array.isArray(position) &&
+  typeof position[0] === 'number' && Math.abs(position[0]) <= 180 &&
+  typeof position[1] === 'number' && Math.abs(position[1]) <= 90;
+
+// Split a comma separated line, honouring double-quoted fields
+function splitCsvLine(line) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      current += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+  return values;
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+  if (lines.length === 0) return [];
+
+  const headers = splitCsvLine(lines[0]);
+  return lines.slice(1).map(line => {
+    const values = splitCsvLine(line);
+    return headers.reduce((row, header, index) => {
+      row[header] = values[index];
+      return row;
+    }, {});
+  });
+}
+
+// Turn one GeoJSON geometry into the single geometries we store
+function splitGeometry(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'MultiPoint') {
+    return geometry.coordinates.map(coordinates => ({ type: 'Point', coordinates }));
+  }
+  if (geometry.type === 'MultiLineString') {
+    return geometry.coordinates.map(coordinates => ({ type: 'LineString', coordinates }));
+  }
+  return [geometry];
+}
+
+function isValidGeometry(layer, geometry) {
+  if (LINE_LAYERS.includes(layer)) {
+    return geometry.type === 'LineString' &&
+      Array.isArray(geometry.coordinates) &&
+      geometry.coordinates.length >= 2 &&
+      geometry.coordinates.every(isValidPosition);
+  }
+  return geometry.type === 'Point' && isValidPosition(geometry.coordinates);
+}
+
+function buildFeature(layer, source, geometry, properties = {}) {
+  const { name, ...rest } = properties;
+  const classKey = ROAD_CLASS_PROPERTIES.find(key => properties[key]);
+
+  return {
+    layer,
+    source,
+    location: {
+      type: geometry.type,
+      coordinates: geometry.coordinates
+    },
+    name,
+    roadClass: layer === 'road' && classKey ? String(properties[classKey]).toLowerCase() : undefined,
+    properties: rest
+  };
+}
+
+function featuresFromGeoJson(layer, source, data) {
+  const collection = typeof data === 'string' ? JSON.parse(data) : data;
+  const features = collection.type === 'FeatureCollection' ? collection.features : [collection];
+
+  const docs = [];
+  let skipped = 0;
+  features.forEach(feature => {
+    splitGeometry(feature.geometry).forEach(geometry => {
+      if (isValidGeometry(layer, geometry)) {
+        docs.push(buildFeature(layer, source, geometry, feature.properties || {}));
+      } else {
+        skipped++;
+      }
+    });
+  });
+  return { docs, skipped };
+}
+
+function featuresFromCsv(layer, source, text) {
+  if (LINE_LAYERS.includes(layer)) {
+    throw importError(`The ${layer} layer can only be imported from GeoJSON`);
+  }
+
+  const docs = [];
+  let skipped = 0;
+  parseCsv(text).forEach(row => {
+    const latKey = Object.keys(row).find(key => LAT_COLUMNS.includes(key.toLowerCase()));
+    const lngKey = Object.keys(row).find(key => LNG_COLUMNS.includes(key.toLowerCase()));
+    const geometry = {
+      type: 'Point',
+      coordinates: [parseFloat(row[lngKey]), parseFloat(row[latKey])]
+    };
+
+    if (!latKey || !lngKey || !isValidGeometry(layer, geometry)) {
+      skipped++;
+      return;
+    }
+
+    const properties = { ...row };
+    delete properties[latKey];
+    delete properties[lngKey];
+    docs.push(buildFeature(layer, source, geometry, properties));
+  });
+  return { docs, skipped };
+}
+
+// Import a dataset into a layer. With `replace`, features previously imported
+// from the same source are removed first, so a new municipal drop supersedes the old one.
+async function importDataset({ layer, format = 'geojson', data, source, replace = false }) {
+  const layers = GeoFeature.schema.path('layer').enumValues;
+  if (!layers.includes(layer)) {
+    throw importError(`Layer must be one of: ${layers.join(', ')}`);
+  }
+  if (!source) {
+    throw importError('Source is required');
+  }
+  if (!data) {
+    throw importError('Dataset is empty');
+  }
+
+  let parsed;
+  try {
+    parsed = format === 'csv'
+      ? featuresFromCsv(layer, source, String(data))
+      : featuresFromGeoJson(layer, source, data);
+  } catch (error) {
+    if (error.status) throw error;
+    throw importError(`Could not parse ${format} dataset: ${error.message}`);
+  }
+
+  let replaced = 0;
+  if (replace) {
+    const result = await GeoFeature.deleteMany({ layer, source });
+    replaced = result.deletedCount;
+  }
+
+  if (parsed.docs.length > 0) {
+    await GeoFeature.insertMany(parsed.docs, { ordered: false });
+  }
+
+  return {
+    layer,
+    source,
+    imported: parsed.docs.length,
+    skipped: parsed.skipped,
+    replaced
+  };
+}
+
+module.exports = {
+  importDataset,
+  parseCsv
+};
@@ -0,0 +1,165 @@
+// services/geodata/routeFactors.js - Safety factors from geodata features along a route
+const GeoFeature = require('../../models/GeoFeature');
+const {
+  pathLength,
+  resamplePath,
+  distanceToPath,
+  boundingPolygon,
+  corridorFilter
+} = require('../../utils/geo');
+
+const LIGHT_CORRIDOR = 30; // meters either side of the route where a streetlight helps
+const CCTV_CORRIDOR = 50;
+const POLICE_CORRIDOR = 500;
+const ROAD_SNAP_DISTANCE = 25; // a sample point is on a road within this distance
+const ROAD_SAMPLE_SPACING = 100;
+const COVERAGE_PADDING = 1000; // layers with no features this close are treated as not loaded
+
+const DAYLIGHT = ['morning', 'afternoon'];
+
+// Road condition score (0-10) per road class
+const ROAD_CLASS_SCORES = {
+  motorway: 8,
+  trunk: 9,
+  primary: 9,
+  secondary: 8,
+  tertiary: 7,
+  pedestrian: 7,
+  residential: 6,
+  living_street: 6,
+  unclassified: 5,
+  service: 5,
+  footway: 5,
+  track: 3,
+  path: 3
+};
+const MAIN_ROAD_CLASSES = ['motorway', 'trunk', 'primary', 'secondary', 'tertiary'];
+
+const toLatLng = ([lng, lat]) => ({ lat, lng });
+
+// Features of the given point layers within `radius` meters of the route
+async function featuresAlong(routePoints, layers, radius) {
+  if (layers.length === 0) return [];
+
+  const candidates = await GeoFeature.find({
+    layer: { $in: layers },
+    ...corridorFilter('location', routePoints, radius)
+  }).select('layer location');
+
+  return candidates.filter(feature =>
+    distanceToPath(toLatLng(feature.location.coordinates), routePoints) <= radius
+  );
+}
+
+// Share of sampled route points on each road class
+async function roadClassShares(routePoints) {
+  const roads = await GeoFeature.find({
+    layer: 'road',
+    location: { $geoIntersects: { $geometry: boundingPolygon(routePoints, ROAD_SNAP_DISTANCE) } }
+  }).select('roadClass location');
+
+  const samples = resamplePath(routePoints, ROAD_SAMPLE_SPACING);
+  const lines = roads.map(road => ({
+    roadClass: road.roadClass || 'unclassified',
+    points: road.location.coordinates.map(toLatLng)
+  }));
+
+  const counts = {};
+  let matched = 0;
+  samples.forEach(sample => {
+    let nearest = null;
+    let nearestDistance = ROAD_SNAP_DISTANCE;
+    lines.forEach(line => {
+      const distance = distanceToPath(sample, line.points);
+      if (distance <= nearestDistance) {
+        nearest = line;
+        nearestDistance = distance;
+      }
+    });
+    if (nearest) {
+      counts[nearest.roadClass] = (counts[nearest.roadClass] || 0) + 1;
+      matched++;
+    }
+  });
+
+  if (matched === 0) return null;
+
+  return Object.keys(counts).reduce((shares, roadClass) => {
+    shares[roadClass] = Math.round(counts[roadClass] / matched * 100) / 100;
+    return shares;
+  }, {});
+}
+
+// Compute lighting, police presence and road condition from the geodata layers
+// loaded around a route. Factors are only returned for layers with data in the
+// area, so routes elsewhere keep the default factor values.
+async function computeGeodataFactors(routePoints, { timeOfDay }) {
+  const factors = {};
+  const features = {};
+  if (routePoints.length === 0) return { factors, features };
+
+  const loadedLayers = await GeoFeature.distinct('layer', {
+    location: { $geoIntersects: { $geometry: boundingPolygon(routePoints, COVERAGE_PADDING) } }
+  });
+  if (loadedLayers.length === 0) return { factors, features };
+
+  const km = Math.max(pathLength(routePoints) / 1000, 0.1);
+  const isLoaded = (layer) => loadedLayers.includes(layer);
+
+  const [nearbyFeatures, policeFeatures, roadShares] = await Promise.all([
+    featuresAlong(routePoints, ['streetlight', 'cctv'].filter(isLoaded), CCTV_CORRIDOR),
+    featuresAlong(routePoints, ['police-station', 'police-booth'].filter(isLoaded), POLICE_CORRIDOR),
+    isLoaded('road') ? roadClassShares(routePoints) : null
+  ]);
+
+  const count = (list, layer) => list.filter(feature => feature.layer === layer).length;
+
+  if (isLoaded('streetlight')) {
+    const streetlights = nearbyFeatures.filter(feature =>
+      feature.layer === 'streetlight' &&
+      distanceToPath(toLatLng(feature.location.coordinates), routePoints) <= LIGHT_CORRIDOR
+    ).length;
+    features.streetlights = streetlights;
+    features.streetlightsPer100m = Math.round(streetlights / (km * 10) * 10) / 10;
+
+    // Streetlights only matter once it is dark
+    if (!DAYLIGHT.includes(timeOfDay)) {
+      factors.lighting = Math.min(10, 2 + features.streetlightsPer100m * 3);
+    }
+  }
+
+  if (isLoaded('cctv')) {
+    features.cctvCameras = count(nearbyFeatures, 'cctv');
+    features.cctvPerKm = Math.round(features.cctvCameras / km * 10) / 10;
+  }
+
+  if (isLoaded('police-station') || isLoaded('police-booth') || isLoaded('cctv')) {
+    features.policeStations = count(policeFeatures, 'police-station');
+    features.policeBooths = count(policeFeatures, 'police-booth');
+
+    // Stations count double, cameras add a little surveillance
+    const presence = features.policeStations * 2 + features.policeBooths + (features.cctvCameras || 0) * 0.25;
+    factors.policePresence = Math.min(10, 3 + presence / km * 2);
+  }
+
+  if (roadShares) {
+    features.roadClasses = roadShares;
+    const share = (classes) => Math.round(classes.reduce((sum, c) => sum + (roadShares[c] || 0), 0) * 100) / 100;
+    features.mainRoadShare = share(MAIN_ROAD_CLASSES);
+    features.residentialShare = share(['residential', 'living_street']);
+    factors.roadCondition = Object.entries(roadShares).reduce(
+      (sum, [roadClass, share]) => sum + (ROAD_CLASS_SCORES[roadClass] || 5) * share,
+      0
+    );
+  }
+
+  Object.keys(factors).forEach(key => {
+    factors[key] = Math.round(factors[key] * 10) / 10;
+  });
+
+  return { factors, features };
+}
+
+module.exports = {
+  computeGeodataFactors
+};
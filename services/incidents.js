@@ -0,0 +1,134 @@
+// services/incidents.js - Group duplicate reports into incidents
+//
+// Reports of the same type close together in place and time describe one incident:
+// several people walking the same dark stretch, or witnessing the same harassment.
+// Each new report joins a matching incident or starts one. Scoring counts an incident
+// once, by its most severe report, boosted by how many people reported it.
+const Incident = require('../models/Incident');
+const SafetyReport = require('../models/SafetyReport');
+const { ACTIVE_STATUSES } = require('./reportWeighting');
+
+const INCIDENT_RADIUS = 150; // meters from the incident's first report
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// How far apart in time two reports of a type can be and still describe the same
+// thing: lasting conditions stay the same for days, events only for hours
+const INCIDENT_WINDOWS = {
+  'Poor Street Lighting': 14 * DAY,
+  'Road Hazard': 7 * DAY,
+  'Lack of Police Presence': 14 * DAY,
+  'Unsafe Area': 14 * DAY,
+  'Harassment': 3 * HOUR,
+  'Suspicious Activity': 3 * HOUR,
+  'Theft/Robbery': 3 * HOUR,
+  'Other': 3 * HOUR
+};
+const DEFAULT_WINDOW = 3 * HOUR;
+
+const CORROBORATION_BOOST = 0.25; // extra impact per additional person reporting
+const MAX_CORROBORATION_BOOST = 1; // at most doubles the incident's impact
+
+const windowFor = (reportType) => INCIDENT_WINDOWS[reportType] || DEFAULT_WINDOW;
+
+// Link a new, validated report to a matching incident, or start one; the caller saves
+// the report. Resolves to the incident and how many other people have reported it.
+async function linkToIncident(report) {
+  const time = new Date(report.timeOfIncident);
+  const window = windowFor(report.reportType);
+
+  let incident = await Incident.findOne({
+    reportType: report.reportType,
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: report.location.coordinates },
+        $maxDistance: INCIDENT_RADIUS
+      }
+    },
+    timeFrom: { $lte: new Date(time.getTime() + window) },
+    timeTo: { $gte: new Date(time.getTime() - window) }
+  });
+
+  if (incident) {
+    incident.timeFrom = new Date(Math.min(incident.timeFrom.getTime(), time.getTime()));
+    incident.timeTo = new Date(Math.max(incident.timeTo.getTime(), time.getTime()));
+    incident.reportCount += 1;
+  } else {
+    incident = new Incident({
+      reportType: report.reportType,
+      location: { type: 'Point', coordinates: report.location.coordinates },
+      timeFrom: time,
+      timeTo: time
+    });
+  }
+  await incident.save();
+  report.incident = incident._id;
+
+  return { incident, othersReported: await countOtherReporters(incident._id, report.userId) };
+}
+
+// Take a deleted report out of its incident; an incident left with no reports goes too
+async function unlinkFromIncident(report) {
+  if (!report.incident) return;
+
+  const incident = await Incident.findByIdAndUpdate(
+    report.incident,
+    { $inc: { reportCount: -1 } },
+    { new: true }
+  );
+  if (incident && incident.reportCount <= 0) {
+    // Only if no report joined it in the meantime
+    await Incident.deleteOne({ _id: incident._id, reportCount: { $lte: 0 } });
+  }
+}
+
+// People other than `userId` with an active report of the incident
+async function countOtherReporters(incidentId, userId) {
+  const reporters = await SafetyReport.distinct('userId', {
+    incident: incidentId,
+    status: { $in: ACTIVE_STATUSES },
+    userId: { $ne: userId },
+    deletedAt: null
+  });
+  return reporters.length;
+}
+
+// Collapse reports to one per incident: the one with the largest impact. Reports
+// without an incident stand alone. `reportersOf(report)` gives the number of people
+// behind a kept report, counting only reports in the list.
+function collapseIncidents(reports) {
+  const groups = new Map();
+  reports.forEach(report => {
+    const key = String(report.incident || report._id);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(report);
+  });
+
+  const reporters = new Map();
+  const kept = [...groups.values()].map(group => {
+    const strongest = group.reduce((top, report) =>
+      report.calculateSafetyImpact() < top.calculateSafetyImpact() ? report : top
+    );
+    reporters.set(String(strongest._id), new Set(group.map(report => String(report.userId))).size);
+    return strongest;
+  });
+
+  return {
+    reports: kept,
+    reportersOf: (report) => reporters.get(String(report._id)) || 1
+  };
+}
+
+// Impact multiplier for an incident reported by `reporters` people
+function corroborationBoost(reporters) {
+  return 1 + Math.min(Math.max(reporters - 1, 0) * CORROBORATION_BOOST, MAX_CORROBORATION_BOOST);
+}
+
+module.exports = {
+  INCIDENT_RADIUS,
+  linkToIncident,
+  unlinkFromIncident,
+  countOtherReporters,
+  collapseIncidents,
+  corroborationBoost
+};
@@ -0,0 +1,124 @@
+// services/locations.js - Turn client-supplied locations into coordinates
+//
+// Wherever the API takes a location (route origin, destination and stops, report
+// locations) the client may send:
+//   { lat, lng, address }      coordinates, used as given
+//   "12.9756,77.6066"          coordinates as text
+//   "home" / { savedPlace }    one of the user's saved places, by type or id
+//   { placeId }                a place picked from autocomplete suggestions
+//   "MG Road" / { address }    free text, geocoded to the best match
+const { getGeocodingProvider } = require('./geocoding');
+
+const COORDINATES_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+const SAVED_PLACE_TYPES = ['home', 'work', 'school'];
+
+function locationError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const isValidCoordinate = (lat, lng) =>
+  Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+// A saved place by id, or the first one of a type such as "home"
+function findSavedPlace(savedPlaces, id) {
+  const key = String(id).trim().toLowerCase();
+  return savedPlaces.find(place => String(place._id) === key) ||
+    (SAVED_PLACE_TYPES.includes(key) ? savedPlaces.find(place => place.type === key) : undefined);
+}
+
+const fromPlace = (place, source) => ({
+  lat: place.location.lat,
+  lng: place.location.lng,
+  address: place.address,
+  name: place.name,
+  placeId: place.placeId,
+  source
+});
+
+const fromSavedPlace = (saved) => ({
+  lat: saved.coordinates.lat,
+  lng: saved.coordinates.lng,
+  address: saved.address,
+  name: saved.name,
+  source: 'saved-place'
+});
+
+async function geocode(text, field, near) {
+  const [place] = await getGeocodingProvider().search(text, { near, limit: 1 });
+  if (!place) {
+    throw locationError(`No place found for ${field} "${text}"`);
+  }
+  return fromPlace(place, 'search');
+}
+
+// Address for bare coordinates; a failed lookup leaves the coordinates as the address
+async function describeCoordinates(lat, lng) {
+  try {
+    const place = await getGeocodingProvider().reverse({ lat, lng });
+    if (place) return place.address;
+  } catch (error) {
+    console.error('Reverse geocoding error:', error.message);
+  }
+  return `${lat},${lng}`;
+}
+
+// Resolve one location to { lat, lng, address, name, placeId, source }. `near` biases
+// free-text searches; `withAddress` reverse-geocodes coordinates sent without one.
+// Throws a 400 error when the input cannot be resolved.
+async function resolveLocation(input, { field = 'location', savedPlaces = [], near, withAddress = false } = {}) {
+  if (typeof input === 'string') {
+    const coordinates = input.match(COORDINATES_PATTERN);
+    if (coordinates) {
+      return resolveLocation({ lat: parseFloat(coordinates[1]), lng: parseFloat(coordinates[2]) }, { field, withAddress });
+    }
+    const saved = findSavedPlace(savedPlaces, input);
+    if (saved) {
+      return fromSavedPlace(saved);
+    }
+    if (!input.trim()) {
+      throw locationError(`${field} must not be empty`);
+    }
+    return geocode(input.trim(), field, near);
+  }
+
+  if (!input || typeof input !== 'object') {
+    throw locationError(`${field} must be coordinates, an address or a saved place`);
+  }
+
+  if (input.lat !== undefined || input.lng !== undefined) {
+    if (!isValidCoordinate(input.lat, input.lng)) {
+      throw locationError(`${field} needs a valid numeric lat and lng`);
+    }
+    const address = input.address || (withAddress ? await describeCoordinates(input.lat, input.lng) : undefined);
+    return { lat: input.lat, lng: input.lng, address, landmark: input.landmark, source: 'coordinates' };
+  }
+
+  if (input.savedPlace) {
+    const saved = findSavedPlace(savedPlaces, input.savedPlace);
+    if (!saved) {
+      throw locationError(`Unknown saved place for ${field}: ${input.savedPlace}`);
+    }
+    return fromSavedPlace(saved);
+  }
+
+  if (input.placeId) {
+    const place = await getGeocodingProvider().lookup(input.placeId);
+    if (!place) {
+      throw locationError(`Unknown place for ${field}: ${input.placeId}`);
+    }
+    return fromPlace(place, 'place');
+  }
+
+  if (typeof input.address === 'string' && input.address.trim()) {
+    return geocode(input.address.trim(), field, near);
+  }
+
+  throw locationError(`${field} must be coordinates, an address or a saved place`);
+}
+
+module.exports = {
+  findSavedPlace,
+  resolveLocation
+};
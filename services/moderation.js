@@ -0,0 +1,130 @@
+// services/moderation.js - Review queue and moderator decisions on safety reports
+//
+// Reports start out pending, or held when the reporter's account is new or has a poor
+// reputation (services/reputation.js). A moderator verifies or dismisses them, and
+// marks them resolved once the problem is gone; held, dismissed and resolved reports
+// do not count in route scoring. Every decision is recorded as a ModerationAction and
+// feeds into the reporter's reputation.
+const SafetyReport = require('../models/SafetyReport');
+const ModerationAction = require('../models/ModerationAction');
+const { invalidateRoutesNear } = require('./routeCache');
+const { refreshReputation } = require('./reputation');
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+// Statuses waiting for a moderator; held reports come first as they count for nothing yet
+const QUEUE_STATUSES = ['held', 'pending'];
+
+// Statuses each action may be taken from, and the status it leads to
+const ACTIONS = {
+  verify: { from: ['held', 'pending', 'dismissed'], to: 'verified' },
+  dismiss: { from: ['held', 'pending', 'verified'], to: 'dismissed' },
+  resolve: { from: ['held', 'pending', 'verified'], to: 'resolved' }
+};
+
+function moderationError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// A page of reports to review: held before pending when no status is given, then most
+// severe first and oldest first within a severity
+async function reviewQueue({ status, reportType, severity, page = 1, limit = 20 } = {}) {
+  const query = { status: status || { $in: QUEUE_STATUSES }, deletedAt: null };
+  if (reportType) query.reportType = reportType;
+  if (severity) query.severity = severity;
+
+  const [reports, count] = await Promise.all([
+    SafetyReport.aggregate([
+      { $match: query },
+      {
+        $addFields: {
+          statusRank: { $indexOfArray: [QUEUE_STATUSES, '$status'] },
+          severityRank: { $indexOfArray: [SEVERITY_ORDER, '$severity'] }
+        }
+      },
+      { $sort: { statusRank: 1, severityRank: 1, createdAt: 1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      { $project: { statusRank: 0, severityRank: 0, 'votes.users': 0 } }
+    ]),
+    SafetyReport.countDocuments(query)
+  ]);
+
+  // Moderators see who reported and their track record, including on anonymous reports
+  await SafetyReport.populate(reports, { path: 'userId', select: 'firstName lastName email reputation createdAt' });
+
+  return { reports, count };
+}
+
+// Verify, dismiss or resolve a report and record the decision. Throws a 400 error for
+// an unknown action, a 403 error for the moderator's own report (the decision feeds
+// their reputation) and a 409 error when the report's status does not allow it.
+async function moderateReport(report, action, { moderatorId, notes }) {
+  const transition = ACTIONS[action];
+  if (!transition) {
+    throw moderationError(`Action must be one of: ${Object.keys(ACTIONS).join(', ')}`);
+  }
+  if (String(report.userId) === String(moderatorId)) {
+    throw moderationError('Moderators cannot review their own reports', 403);
+  }
+  if (!transition.from.includes(report.status)) {
+    throw moderationError(`Cannot ${action} a ${report.status} report`, 409);
+  }
+
+  const fromStatus = report.status;
+  const now = new Date();
+  report.status = transition.to;
+
+  if (action === 'resolve') {
+    report.resolved = {
+      isResolved: true,
+      resolvedAt: now,
+      resolvedBy: String(moderatorId),
+      resolutionNotes: notes
+    };
+  } else {
+    // Verifying and dismissing are both reviews; the moderator is kept either way
+    report.verification = {
+      verifiedBy: moderatorId,
+      verifiedAt: now,
+      verificationNotes: notes
+    };
+  }
+
+  await report.save();
+
+  const record = await ModerationAction.create({
+    report: report._id,
+    moderator: moderatorId,
+    action,
+    fromStatus,
+    toStatus: report.status,
+    notes
+  });
+
+  // The decision changes the reporter's standing, and so the trust in their other reports
+  await refreshReputation(report.userId, now);
+
+  // Verified reports start counting, dismissed and resolved ones drop out of route scores
+  const [lng, lat] = report.location.coordinates;
+  await invalidateRoutesNear({ lat, lng });
+
+  return record;
+}
+
+// Decisions on a report, oldest first
+function reportHistory(reportId) {
+  return ModerationAction.find({ report: reportId })
+    .sort({ createdAt: 1 })
+    .populate('moderator', 'firstName lastName');
+}
+
+module.exports = {
+  SEVERITY_ORDER,
+  QUEUE_STATUSES,
+  ACTIONS,
+  reviewQueue,
+  moderateReport,
+  reportHistory
+};
@@ -0,0 +1,322 @@
+// services/navigation.js - Live guidance for a route being travelled
+//
+// Each position report is matched against the stored polyline. Leaving the route, or
+// new serious reports appearing on the path still ahead, produces a re-route proposal
+// from the current position. Proposals are saved as Route documents so the client can
+// switch to one and keep streaming positions against its routeId.
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const SafetyReport = require('../models/SafetyReport');
+const { decodePolyline, encodePolyline } = require('../utils/polyline');
+const { haversineDistance, distanceToSegment, pathLength } = require('../utils/geo');
+const { localTime } = require('../utils/timeZone');
+const { formatDistance, formatDuration } = require('./routing/common');
+const { calculateRouteSafetyScore } = require('./routeSafety');
+const { calculateRouteCandidates } = require('./routeCandidates');
+const { buildRouteDocument } = require('./routeDocuments');
+const { REPORT_RADIUS } = require('./routeSegments');
+const { collapseIncidents } = require('./incidents');
+
+const OFF_ROUTE_DISTANCE = 50; // meters from the polyline, on top of the GPS accuracy
+const MAX_ACCURACY = 100; // meters; worse fixes are too vague to call a deviation
+const REROUTE_INTERVAL = 60 * 1000; // at most one recalculation per route and user in this time
+const MAX_REROUTE_DEPTH = 20; // re-routes of re-routes followed back to a trip's route
+const ALERT_SEVERITIES = ['high', 'critical'];
+
+// Where the position sits along the route: the segment it is closest to and the
+// path still ahead of it, starting from the position's projection
+function locateOnRoute(routePoints, position) {
+  let index = 0;
+  let distance = Infinity;
+  for (let i = 1; i < routePoints.length; i++) {
+    const d = distanceToSegment(position, routePoints[i - 1], routePoints[i]);
+    if (d < distance) {
+      index = i;
+      distance = d;
+    }
+  }
+
+  if (routePoints.length < 2) {
+    return { index: 0, distance: haversineDistance(position, routePoints[0]), remaining: routePoints };
+  }
+
+  return {
+    index,
+    distance,
+    remaining: [position, ...routePoints.slice(index)]
+  };
+}
+
+// Rough distance along a path to the point beside a location
+function distanceAlong(path, location) {
+  const { index } = locateOnRoute(path, location);
+  if (index === 0) return 0;
+
+  const start = path[index - 1];
+  const segmentLength = haversineDistance(start, path[index]);
+  return pathLength(path.slice(0, index)) + Math.min(haversineDistance(start, location), segmentLength);
+}
+
+// Serious reports on the remaining path that the route was not scored with, one per
+// incident; further reports of an incident the route was scored with are not new
+async function findNewReportsAhead(route, remaining) {
+  const scored = new Set(route.segments.flatMap(segment => segment.reports.map(r => String(r.reportId))));
+  const reports = await SafetyReport.findAlongRoute(remaining, REPORT_RADIUS);
+  const scoredIncidents = new Set(reports
+    .filter(report => report.incident && scored.has(String(report._id)))
+    .map(report => String(report.incident)));
+
+  const unscored = reports.filter(report =>
+    !scored.has(String(report._id)) && !(report.incident && scoredIncidents.has(String(report.incident)))
+  );
+
+  return collapseIncidents(unscored).reports
+    .filter(report => ALERT_SEVERITIES.includes(report.severity))
+    .map(report => {
+      const location = { lat: report.location.coordinates[1], lng: report.location.coordinates[0] };
+      return {
+        reportId: report._id,
+        reportType: report.reportType,
+        severity: report.severity,
+        location,
+        distanceAhead: Math.round(distanceAlong(remaining, location))
+      };
+    })
+    .sort((a, b) => a.distanceAhead - b.distanceAhead);
+}
+
+// Response shape for a re-route proposal
+function describeProposal(routeDoc, reason, now, safetyGain) {
+  return {
+    reason,
+    routeId: routeDoc._id,
+    distance: {
+      meters: routeDoc.routeData.distance,
+      text: formatDistance(routeDoc.routeData.distance)
+    },
+    duration: {
+      seconds: routeDoc.routeData.duration,
+      text: formatDuration(routeDoc.routeData.duration)
+    },
+    eta: new Date(now.getTime() + routeDoc.routeData.duration * 1000),
+    safetyScore: routeDoc.safetyScore.overall,
+    safetyFactors: routeDoc.safetyScore.factors,
+    safetyGain,
+    legs: routeDoc.legs,
+    safeHavens: routeDoc.safeHavens,
+    segments: routeDoc.getSegmentFeatures(),
+    tags: routeDoc.tags,
+    polyline: routeDoc.routeData.polyline,
+    steps: routeDoc.routeData.steps
+  };
+}
+
+// Stops of a multi-stop route not yet reached, judged from the path still ahead
+function stopsAhead(route, remaining) {
+  const stops = route.waypoints.filter(waypoint => waypoint.type === 'stop');
+  const travelled = pathLength(decodePolyline(route.routeData.polyline)) - pathLength(remaining);
+
+  return stops
+    .filter((stop, index) => !route.legs[index] || route.legs[index].endDistance > travelled)
+    .map(stop => ({ ...stop.coordinates, address: stop.address }));
+}
+
+// The re-route last proposed for the route within REROUTE_INTERVAL, if any
+function findRecentProposal(route, now) {
+  return Route.findOne({
+    userId: route.userId,
+    'reroute.from': route._id,
+    createdAt: { $gte: new Date(now.getTime() - REROUTE_INTERVAL) }
+  }).sort({ createdAt: -1 });
+}
+
+// Safest route from the current position to the route's destination, through any stops
+// still ahead, saved as a new Route document. Within REROUTE_INTERVAL of the last
+// proposal that one is reused wherever the user is now: someone who stays off the route
+// must not trigger a provider round and a new Route on every position fix.
+// `remainingSafetyScore`, the score of the rest of the route it was weighed against, is
+// kept with the proposal for the same reason.
+async function proposeReroute(route, position, { reason, now, remaining, remainingSafetyScore }) {
+  const recent = await findRecentProposal(route, now);
+  if (recent) {
+    return recent;
+  }
+
+  const travelMode = route.travelMode;
+  const weights = route.getScoringWeights();
+  const stops = stopsAhead(route, remaining);
+
+  const candidates = await calculateRouteCandidates({
+    origin: position,
+    destination: route.destination.coordinates,
+    stops,
+    travelMode,
+    departAt: now,
+    timeZone: route.timeZone,
+    weights
+  });
+  if (candidates.length === 0) return null;
+
+  const best = candidates.reduce((a, b) => {
+    if (b.safetyScore.overall !== a.safetyScore.overall) {
+      return b.safetyScore.overall > a.safetyScore.overall ? b : a;
+    }
+    return b.route.duration < a.route.duration ? b : a;
+  });
+
+  const routeDoc = buildRouteDocument(route.userId, best, {
+    routeType: 'safest',
+    travelMode,
+    departAt: now,
+    timeZone: route.timeZone,
+    timeOfDay: Route.getTimeOfDay(localTime(now, route.timeZone).hour),
+    profile: { preset: route.safetyScore.profile, weights },
+    stops
+  });
+  routeDoc.reroute = { from: route._id, reason, remainingSafetyScore };
+  await routeDoc.save();
+
+  return routeDoc;
+}
+
+function positionError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Progress of a position ({ lat, lng, accuracy }) along a route: whether it is still
+// on the polyline, what is left of it and the ETA at the route's own average speed
+function routeProgress(route, position, now = new Date()) {
+  if (!position || !Number.isFinite(position.lat) || !Number.isFinite(position.lng)) {
+    throw positionError('Position lat and lng are required');
+  }
+
+  const location = { lat: position.lat, lng: position.lng };
+  const accuracy = Math.min(Number(position.accuracy) || 0, MAX_ACCURACY);
+  const threshold = OFF_ROUTE_DISTANCE + accuracy;
+
+  const routePoints = decodePolyline(route.routeData.polyline);
+  const { distance, remaining } = locateOnRoute(routePoints, location);
+
+  const distanceRemaining = pathLength(remaining);
+  const speed = route.routeData.distance / Math.max(route.routeData.duration, 1);
+  const durationRemaining = Math.round(distanceRemaining / speed);
+
+  return {
+    location,
+    threshold,
+    remaining,
+    onRoute: distance <= threshold,
+    distanceFromRoute: Math.round(distance),
+    progress: {
+      distanceTravelled: Math.max(0, Math.round(route.routeData.distance - distanceRemaining)),
+      distanceRemaining: Math.round(distanceRemaining),
+      durationRemaining,
+      eta: new Date(now.getTime() + durationRemaining * 1000)
+    }
+  };
+}
+
+// Whether `route` replaced the route `ancestorId` through one or more re-routes
+async function isRerouteOf(route, ancestorId) {
+  let current = route;
+  for (let depth = 0; depth < MAX_REROUTE_DEPTH && current && current.reroute && current.reroute.from; depth++) {
+    if (current.reroute.from.equals(ancestorId)) return true;
+    current = await Route.findById(current.reroute.from).select('reroute');
+  }
+  return false;
+}
+
+// Move a trip onto `route` when it is a re-route of the trip's route: the user accepted
+// the proposal, and progress is measured along it from now on. Resolves to whether the
+// trip now follows `route`.
+async function followReroute(trip, route) {
+  if (trip.route.equals(route._id)) return true;
+  if (!(await isRerouteOf(route, trip.route))) return false;
+
+  trip.route = route._id;
+  return true;
+}
+
+// Record a fix on the user's trip in progress, if any, so trip monitoring sees them
+// moving whether positions come through navigation or trip pings. Progress only counts
+// when `route` is the trip's route or a re-route of it.
+async function recordTripFix(route, { location, accuracy, onRoute, progress }, now) {
+  const trip = await Trip.findActive(route.userId);
+  if (!trip) return;
+
+  const following = await followReroute(trip, route);
+  trip.recordPing(following ? {
+    location,
+    accuracy,
+    onRoute,
+    distanceRemaining: progress.distanceRemaining,
+    eta: progress.eta
+  } : { location, accuracy }, now);
+  await trip.save();
+}
+
+// Check a position ({ lat, lng, accuracy }) against a route the user is travelling.
+// Resolves to progress along the route, alerts for new serious reports ahead and,
+// when the user has left the route or those reports make it less safe, a re-route proposal.
+async function checkPosition(route, position, { now = new Date() } = {}) {
+  const { location, remaining, onRoute, distanceFromRoute, progress } = routeProgress(route, position, now);
+  await recordTripFix(route, { location, accuracy: position.accuracy, onRoute, progress }, now);
+
+  const result = {
+    routeId: route._id,
+    onRoute,
+    distanceFromRoute,
+    progress,
+    alerts: [],
+    reroute: null
+  };
+
+  if (!onRoute) {
+    const proposal = await proposeReroute(route, location, { reason: 'off-route', now, remaining });
+    result.reroute = proposal && describeProposal(proposal, 'off-route', now);
+    return result;
+  }
+
+  result.alerts = await findNewReportsAhead(route, remaining);
+  if (result.alerts.length === 0) return result;
+
+  // Only propose a new route when it beats the rest of this one as things stand now.
+  // Rescoring the rest is as costly as proposing, so within REROUTE_INTERVAL the recent
+  // proposal and the score it was weighed against are reused.
+  const recent = await findRecentProposal(route, now);
+  let remainingScore = recent && recent.reroute.remainingSafetyScore;
+  if (typeof remainingScore !== 'number') {
+    remainingScore = (await calculateRouteSafetyScore(encodePolyline(remaining), {
+      travelMode: route.travelMode,
+      departAt: now,
+      timeZone: route.timeZone,
+      weights: route.getScoringWeights()
+    })).overall;
+    if (recent) {
+      await Route.updateOne({ _id: recent._id }, { 'reroute.remainingSafetyScore': remainingScore });
+    }
+  }
+  result.remainingSafetyScore = remainingScore;
+
+  const proposal = recent || await proposeReroute(route, location, {
+    reason: 'new-reports',
+    now,
+    remaining,
+    remainingSafetyScore: remainingScore
+  });
+  if (proposal && proposal.safetyScore.overall > remainingScore) {
+    const safetyGain = Math.round((proposal.safetyScore.overall - remainingScore) * 10) / 10;
+    result.reroute = describeProposal(proposal, 'new-reports', now, safetyGain);
+  }
+
+  return result;
+}
+
+module.exports = {
+  OFF_ROUTE_DISTANCE,
+  routeProgress,
+  followReroute,
+  checkPosition
+};
@@ -0,0 +1,77 @@
+// services/navigationSocket.js - WebSocket channel for live navigation
+//
+// Client flow: 'navigation-start' { routeId, token } once, then 'navigation-position'
+// { lat, lng, accuracy } for each GPS fix. Every fix answers with 'navigation-update';
+// a re-route proposal is also sent as 'reroute-proposal'. To accept one, start
+// navigation again with the proposal's routeId; a trip in progress moves onto it.
+const jwt = require('jsonwebtoken');
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const { checkPosition, followReroute } = require('./navigation');
+
+function registerNavigationHandlers(socket) {
+  let navigation = null;
+  let busy = false; // fixes arriving while one is being checked are dropped
+
+  socket.on('navigation-start', async (payload) => {
+    try {
+      const { routeId, token } = payload || {};
+      const { userId } = jwt.verify(token, process.env.JWT_SECRET);
+      const route = await Route.findOne({ _id: routeId, userId });
+      if (!route) {
+        return socket.emit('navigation-error', { error: 'Route not found' });
+      }
+
+      const trip = await Trip.findActive(userId);
+      if (trip && !trip.route.equals(route._id) && await followReroute(trip, route)) {
+        await trip.save();
+      }
+
+      if (navigation) socket.leave(`route:${navigation.route._id}`);
+      navigation = { route };
+      socket.join(`route:${route._id}`);
+      // Trip safety checks are sent to the user's room (services/userSocket.js); the
+      // navigation token is as good as an 'authenticate'
+      socket.join(`user:${userId}`);
+      socket.emit('navigation-started', { routeId: route._id });
+    } catch (error) {
+      if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+        return socket.emit('navigation-error', { error: 'Invalid or expired token' });
+      }
+      console.error('Navigation start error:', error);
+      socket.emit('navigation-error', { error: 'Failed to start navigation' });
+    }
+  });
+
+  socket.on('navigation-position', async (position) => {
+    if (!navigation) {
+      return socket.emit('navigation-error', { error: 'Navigation has not been started' });
+    }
+    if (busy) return;
+
+    busy = true;
+    try {
+      const update = await checkPosition(navigation.route, position);
+      socket.emit('navigation-update', update);
+      if (update.reroute) socket.emit('reroute-proposal', update.reroute);
+    } catch (error) {
+      if (error.status) {
+        socket.emit('navigation-error', { error: error.message });
+      } else {
+        console.error('Navigation position error:', error);
+        socket.emit('navigation-error', { error: 'Failed to check position' });
+      }
+    } finally {
+      busy = false;
+    }
+  });
+
+  socket.on('navigation-stop', () => {
+    if (navigation) socket.leave(`route:${navigation.route._id}`);
+    navigation = null;
+  });
+}
+
+module.exports = {
+  registerNavigationHandlers
+};
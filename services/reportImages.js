@@ -0,0 +1,155 @@
+// services/reportImages.js - Photo evidence for safety reports
+//
+// Uploads are decoded and re-encoded before anything is stored, which checks they
+// really are images and drops all metadata: EXIF GPS positions, camera and device
+// details, timestamps. Each photo gets a small JPEG thumbnail. Files go to the store
+// from services/storage; the report keeps their keys.
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const User = require('../models/User');
+const { getFileStore } = require('./storage');
+
+const IMAGE_TYPES = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  webp: { contentType: 'image/webp', extension: 'webp' }
+};
+const ACCEPTED_CONTENT_TYPES = Object.values(IMAGE_TYPES).map(type => type.contentType);
+const MAX_IMAGE_SIZE = 8 * 1024 * 1024; // bytes per uploaded file
+const MAX_IMAGES_PER_REPORT = 5;
+const MAX_DIMENSION = 2560; // larger photos are scaled down to fit
+const THUMBNAIL_SIZE = 320;
+const STAFF_ROLES = ['moderator', 'admin'];
+
+function imageError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Decode an upload and re-encode it without metadata, plus a thumbnail.
+// Throws a 400 error when the file is not a JPEG, PNG or WebP image.
+async function processImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw imageError('File is not a readable image');
+  }
+  const type = IMAGE_TYPES[metadata.format];
+  if (!type) {
+    throw imageError('Images must be JPEG, PNG or WebP');
+  }
+
+  // rotate() bakes the EXIF orientation into the pixels; sharp writes no metadata
+  // unless asked to, so the output carries no EXIF, XMP or ICC data
+  const original = await sharp(buffer)
+    .rotate()
+    .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .toFormat(metadata.format)
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await sharp(original.data)
+    .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 75 })
+    .toBuffer();
+
+  return { type, original, thumbnail };
+}
+
+// Process and store uploaded files (multer's { buffer }) for a report, adding them to
+// report.images; the caller saves the report. Nothing is stored unless every file is
+// a valid image. Resolves to the stored keys, for clean-up if the save fails.
+async function addReportImages(report, files) {
+  if (report.images.length + files.length > MAX_IMAGES_PER_REPORT) {
+    throw imageError(`A report can have at most ${MAX_IMAGES_PER_REPORT} images`);
+  }
+
+  // One at a time: decoding full-size photos takes a lot of memory
+  const processed = [];
+  for (const file of files) {
+    processed.push(await processImage(file.buffer));
+  }
+  const store = getFileStore();
+  const keys = [];
+
+  try {
+    for (const { type, original, thumbnail } of processed) {
+      const imageId = new mongoose.Types.ObjectId();
+      const key = `reports/${report._id}/${imageId}.${type.extension}`;
+      const thumbnailKey = `reports/${report._id}/${imageId}-thumb.jpg`;
+
+      await store.put(key, original.data, { contentType: type.contentType });
+      keys.push(key);
+      await store.put(thumbnailKey, thumbnail, { contentType: 'image/jpeg' });
+      keys.push(thumbnailKey);
+
+      report.images.push({
+        _id: imageId,
+        key,
+        thumbnailKey,
+        contentType: type.contentType,
+        size: original.info.size,
+        width: original.info.width,
+        height: original.info.height,
+        uploadedAt: new Date()
+      });
+    }
+  } catch (error) {
+    await store.remove(keys);
+    throw error;
+  }
+
+  return keys;
+}
+
+// Storage keys of the originals and thumbnails of the given images
+function imageKeys(images) {
+  return images.flatMap(image => [image.key, image.thumbnailKey]).filter(Boolean);
+}
+
+// The requester as far as image access is concerned: { userId, role, isVerified }
+async function loadViewer(user) {
+  const account = await User.findById(user.userId).select('isVerified');
+  return { userId: user.userId, role: user.role, isVerified: Boolean(account && account.isVerified) };
+}
+
+// What of a report's photos a viewer may see. Authors and moderators see everything.
+// Others see thumbnails when the report's visibility allows, and originals too unless
+// the report is anonymous, as a full-size photo can give away who took it.
+function imageAccess(report, viewer) {
+  const authorId = String(report.userId && report.userId._id ? report.userId._id : report.userId);
+  if (authorId === String(viewer.userId) || STAFF_ROLES.includes(viewer.role)) {
+    return { thumbnail: true, original: true };
+  }
+
+  const visible = report.visibility === 'public' ||
+    (report.visibility === 'verified-only' && viewer.isVerified);
+  return { thumbnail: visible, original: visible && !report.isAnonymous };
+}
+
+// Image entries for a response, with links only to what the viewer may see
+function describeImages(report, access) {
+  if (!access.thumbnail) return [];
+
+  const base = `/api/reports/${report._id}/images`;
+  return report.images.map(image => ({
+    imageId: image._id,
+    url: access.original ? (image.key ? `${base}/${image._id}` : image.url) : undefined,
+    thumbnailUrl: image.thumbnailKey ? `${base}/${image._id}/thumbnail` : undefined,
+    width: image.width,
+    height: image.height,
+    uploadedAt: image.uploadedAt
+  }));
+}
+
+module.exports = {
+  ACCEPTED_CONTENT_TYPES,
+  MAX_IMAGE_SIZE,
+  MAX_IMAGES_PER_REPORT,
+  addReportImages,
+  imageKeys,
+  loadViewer,
+  imageAccess,
+  describeImages
+};
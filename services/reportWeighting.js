@@ -0,0 +1,100 @@
+// services/reportWeighting.js - How much a safety report counts, by age and status
+//
+// A report's weight (0-1) is its recency times its status weight times the trust in
+// its reporter. Recency halves every `halfLifeDays` since the incident and drops to
+// zero after `maxAgeDays`: a pothole is soon fixed or known, a harassment hotspot stays
+// one for months. Verified reports count fully, pending ones less; held, resolved and
+// dismissed reports not at all. Reporter trust (services/reputation.js) only scales
+// unverified reports: once a moderator has checked one, who sent it no longer matters.
+// Curves can be overridden per type with REPORT_DECAY_CURVES, a JSON object such as
+// {"Road Hazard": {"halfLifeDays": 7, "maxAgeDays": 45}}.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_DECAY_CURVES = {
+  'Road Hazard': { halfLifeDays: 10, maxAgeDays: 60 },
+  'Poor Street Lighting': { halfLifeDays: 45, maxAgeDays: 270 },
+  'Lack of Police Presence': { halfLifeDays: 90, maxAgeDays: 365 },
+  'Suspicious Activity': { halfLifeDays: 30, maxAgeDays: 180 },
+  'Other': { halfLifeDays: 30, maxAgeDays: 180 },
+  'Theft/Robbery': { halfLifeDays: 120, maxAgeDays: 730 },
+  'Harassment': { halfLifeDays: 180, maxAgeDays: 730 },
+  'Unsafe Area': { halfLifeDays: 180, maxAgeDays: 730 }
+};
+const FALLBACK_CURVE = { halfLifeDays: 30, maxAgeDays: 180 };
+
+const STATUS_WEIGHTS = {
+  verified: 1,
+  pending: 0.6
+};
+const ACTIVE_STATUSES = Object.keys(STATUS_WEIGHTS);
+
+const MIN_REPORT_WEIGHT = 0.05; // reports weighing less are left out everywhere
+
+// Default curves with any overrides from REPORT_DECAY_CURVES
+function loadDecayCurves(overrides = process.env.REPORT_DECAY_CURVES) {
+  if (!overrides) return DEFAULT_DECAY_CURVES;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(overrides);
+  } catch (error) {
+    throw new Error('REPORT_DECAY_CURVES must be a JSON object of { halfLifeDays, maxAgeDays } per report type');
+  }
+
+  const curves = { ...DEFAULT_DECAY_CURVES };
+  Object.entries(parsed).forEach(([reportType, curve]) => {
+    const merged = { ...(curves[reportType] || FALLBACK_CURVE), ...curve };
+    if (!(merged.halfLifeDays > 0) || !(merged.maxAgeDays > 0)) {
+      throw new Error(`REPORT_DECAY_CURVES: ${reportType} needs positive halfLifeDays and maxAgeDays`);
+    }
+    curves[reportType] = merged;
+  });
+  return curves;
+}
+
+const DECAY_CURVES = loadDecayCurves();
+const LONGEST_MAX_AGE = Math.max(...Object.values(DECAY_CURVES).map(curve => curve.maxAgeDays), FALLBACK_CURVE.maxAgeDays);
+
+const curveFor = (reportType) => DECAY_CURVES[reportType] || FALLBACK_CURVE;
+
+// 0-1 by the time since the incident, on the report type's curve
+function recencyWeight(report, now = new Date()) {
+  const { halfLifeDays, maxAgeDays } = curveFor(report.reportType);
+  const days = Math.max(0, (new Date(now) - new Date(report.timeOfIncident)) / DAY);
+  if (days > maxAgeDays) return 0;
+  return Math.pow(0.5, days / halfLifeDays);
+}
+
+// 0-1: how much the reporter's word counts for the report
+function trustWeight(report) {
+  if (report.status === 'verified' || typeof report.reporterTrust !== 'number') return 1;
+  return report.reporterTrust;
+}
+
+// 0-1: how much a report counts now
+function reportWeight(report, now = new Date()) {
+  return (STATUS_WEIGHTS[report.status] || 0) * recencyWeight(report, now) * trustWeight(report);
+}
+
+// Query conditions that rule out deleted reports and those no curve would still count;
+// callers drop the rest with reportWeight
+function currentReportsFilter(now = new Date()) {
+  return {
+    status: { $in: ACTIVE_STATUSES },
+    deletedAt: null,
+    timeOfIncident: { $gte: new Date(new Date(now).getTime() - LONGEST_MAX_AGE * DAY) }
+  };
+}
+
+module.exports = {
+  DECAY_CURVES,
+  STATUS_WEIGHTS,
+  ACTIVE_STATUSES,
+  MIN_REPORT_WEIGHT,
+  loadDecayCurves,
+  recencyWeight,
+  trustWeight,
+  reportWeight,
+  currentReportsFilter
+};
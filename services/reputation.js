@@ -0,0 +1,129 @@
+// services/reputation.js - Reporter reputation and how far their reports are trusted
+//
+// A user's reputation (0-1) is the share of their reviewed reports that moderators
+// confirmed (verified or resolved) rather than dismissed, with other people's votes on
+// their reports counting for a little too, as far as the voters are trusted themselves.
+// It starts from a neutral prior, so a single decision does not settle it. Reports from
+// brand-new or low-reputation accounts are held for a moderator before they count at
+// all, and the rest are scaled by trust, which only nears full as moderators confirm
+// more of the user's reports: flooding a neighbourhood with fake reports takes
+// established, credible accounts.
+const User = require('../models/User');
+const SafetyReport = require('../models/SafetyReport');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const PRIOR_CONFIRMED = 1; // every account starts as if 1 of 2 reports was confirmed
+const PRIOR_REVIEWED = 2;
+const VOTE_WEIGHT = 0.25; // a vote counts for a quarter of a moderator's decision
+
+const NEW_ACCOUNT_DAYS = 7;
+const LOW_REPUTATION = 0.3; // below this, reports are held for review
+const HELD_TRUST = 0.2; // trust in reports from new or low-reputation accounts
+const UNPROVEN_TRUST = 0.5; // trust in reports from accounts with no reviewed reports yet
+const EVIDENCE_REPORTS = 5; // reviewed reports that take trust halfway to what the score earns
+
+const CONFIRMED_STATUSES = ['verified', 'resolved'];
+
+// 0-1 from a track record of { confirmedReports, dismissedReports, helpfulVotes, notHelpfulVotes }
+function reputationScore({ confirmedReports, dismissedReports, helpfulVotes, notHelpfulVotes }) {
+  const confirmed = PRIOR_CONFIRMED + confirmedReports + VOTE_WEIGHT * helpfulVotes;
+  const reviewed = PRIOR_REVIEWED + confirmedReports + dismissedReports +
+    VOTE_WEIGHT * (helpfulVotes + notHelpfulVotes);
+  return Math.round(confirmed / reviewed * 100) / 100;
+}
+
+// 0-1 trust in the reports of a user who is not held for review: moves from
+// UNPROVEN_TRUST towards their score as reviewed reports back it up, so only a long
+// record of confirmed reports comes close to full trust
+function reporterTrust(score, reviewedReports) {
+  const confidence = reviewedReports / (reviewedReports + EVIDENCE_REPORTS);
+  return Math.round((UNPROVEN_TRUST + (score - UNPROVEN_TRUST) * confidence) * 100) / 100;
+}
+
+// What a user's reputation means for their reports: { score, isNewAccount, trust,
+// holdForReview }. A missing user is treated as a new account.
+function assessReporter(user, now = new Date()) {
+  const reputation = user && user.reputation;
+  const score = reputation ? reputation.score : reputationScore({
+    confirmedReports: 0, dismissedReports: 0, helpfulVotes: 0, notHelpfulVotes: 0
+  });
+  const reviewedReports = reputation
+    ? (reputation.confirmedReports || 0) + (reputation.dismissedReports || 0)
+    : 0;
+  const isNewAccount = !user || !user.createdAt ||
+    new Date(now) - new Date(user.createdAt) < NEW_ACCOUNT_DAYS * DAY;
+  const holdForReview = isNewAccount || score < LOW_REPUTATION;
+
+  return {
+    score,
+    isNewAccount,
+    trust: holdForReview ? HELD_TRUST : reporterTrust(score, reviewedReports),
+    holdForReview
+  };
+}
+
+// Whether a report is part of its author's track record: reviewed by a moderator or
+// voted on by someone else
+function countsTowardReputation(report) {
+  return CONFIRMED_STATUSES.includes(report.status) || report.status === 'dismissed' ||
+    report.votes.users.some(vote => String(vote.userId) !== String(report.userId));
+}
+
+// How much each voter's votes count, by id: their trust as a reporter, or nothing for
+// new and low-reputation accounts, so fresh accounts cannot vote a reputation up or down
+async function voteWeights(voterIds, now) {
+  const voters = await User.find({ _id: { $in: voterIds } }).select('reputation createdAt');
+  const weights = new Map();
+  voters.forEach(voter => {
+    const { trust, holdForReview } = assessReporter(voter, now);
+    weights.set(String(voter._id), holdForReview ? 0 : trust);
+  });
+  return weights;
+}
+
+// Recount a user's track record from their reports, deleted ones included, save it and
+// bring the trust on their reports in line. Votes on their own reports are not counted,
+// and others' votes are weighted by the voter's trust.
+// Resolves to the updated reputation, or null when the user does not exist.
+async function refreshReputation(userId, now = new Date()) {
+  const reports = await SafetyReport.find({ userId }).select('status votes.users');
+
+  const votes = reports.flatMap(report => report.votes.users)
+    .filter(vote => String(vote.userId) !== String(userId));
+  const weights = await voteWeights([...new Set(votes.map(vote => String(vote.userId)))], now);
+
+  const record = { confirmedReports: 0, dismissedReports: 0, helpfulVotes: 0, notHelpfulVotes: 0 };
+  reports.forEach(report => {
+    if (CONFIRMED_STATUSES.includes(report.status)) record.confirmedReports++;
+    if (report.status === 'dismissed') record.dismissedReports++;
+  });
+  votes.forEach(vote => {
+    const weight = weights.get(String(vote.userId)) || 0;
+    if (vote.vote === 'helpful') record.helpfulVotes += weight;
+    if (vote.vote === 'not-helpful') record.notHelpfulVotes += weight;
+  });
+  record.helpfulVotes = Math.round(record.helpfulVotes * 100) / 100;
+  record.notHelpfulVotes = Math.round(record.notHelpfulVotes * 100) / 100;
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { reputation: { ...record, score: reputationScore(record), updatedAt: now } },
+    { new: true }
+  ).select('reputation createdAt');
+  if (!user) return null;
+
+  const { trust } = assessReporter(user, now);
+  await SafetyReport.updateMany({ userId, reporterTrust: { $ne: trust } }, { reporterTrust: trust });
+
+  return user.reputation;
+}
+
+module.exports = {
+  NEW_ACCOUNT_DAYS,
+  LOW_REPUTATION,
+  reputationScore,
+  assessReporter,
+  countsTowardReputation,
+  refreshReputation
+};
@@ -0,0 +1,88 @@
+// services/routeCache.js - Cache of scored route candidates for repeated trips
+//
+// Entries are keyed on the origin, stops and destination snapped to ~165 m cells, the travel
+// mode, the departure day and time-of-day bucket (weather differs from day to day) and the
+// factor weights it was scored with, so the same commute minutes later is served from the
+// cache. Each entry is also indexed by the ~1 km cells its routes pass through; a new
+// report in or next to one of those cells drops the entry.
+const { getCacheStore } = require('./cache');
+const { decodePolyline } = require('../utils/polyline');
+const { resamplePath, gridCell } = require('../utils/geo');
+const { weightsKey } = require('./scoring');
+const { localTime } = require('../utils/timeZone');
+
+const SNAP_CELL_SIZE = 0.0015; // degrees, ~165 m
+const INDEX_CELL_SIZE = 0.01; // degrees, ~1.1 km: wider than the report corridor
+const TTL = parseInt(process.env.ROUTE_CACHE_TTL || '900'); // seconds
+
+const indexKey = ([row, col]) => `routes:cell:${row}:${col}`;
+
+function buildCacheKey({ origin, destination, stops = [], travelMode, departAt, timeZone, timeOfDay, weights }) {
+  const cells = [origin, ...stops, destination]
+    .map(point => gridCell(point, SNAP_CELL_SIZE).join(':'))
+    .join(':');
+  const { year, month, day } = localTime(departAt, timeZone);
+  return `routes:calc:${travelMode}:${year}-${month}-${day}:${timeZone}:${timeOfDay}:${weightsKey(weights)}:${cells}`;
+}
+
+// Cache failures must never fail a route calculation
+async function safely(operation, fallback) {
+  try {
+    return await operation();
+  } catch (error) {
+    console.error('Route cache error:', error.message);
+    return fallback;
+  }
+}
+
+// Get a cached entry ({ createdAt, candidates }) or null
+function getCachedCandidates(key) {
+  if (TTL <= 0) return Promise.resolve(null);
+  return safely(() => getCacheStore().get(key), null);
+}
+
+// Store candidates and index them by the cells their routes pass through
+function cacheCandidates(key, candidates) {
+  if (TTL <= 0) return Promise.resolve(null);
+
+  return safely(async () => {
+    const store = getCacheStore();
+    const entry = { createdAt: new Date().toISOString(), candidates };
+    await store.set(key, entry, TTL);
+
+    const cells = new Set();
+    candidates.forEach(({ route }) => {
+      resamplePath(decodePolyline(route.polyline), 500).forEach(point => {
+        cells.add(indexKey(gridCell(point, INDEX_CELL_SIZE)));
+      });
+    });
+    await Promise.all([...cells].map(cell => store.addToIndex(cell, key, TTL)));
+
+    return entry;
+  }, null);
+}
+
+// Drop every cached entry whose routes pass near a location
+function invalidateRoutesNear(location) {
+  return safely(async () => {
+    const store = getCacheStore();
+    const [row, col] = gridCell(location, INDEX_CELL_SIZE);
+    const cells = [];
+    for (let dRow = -1; dRow <= 1; dRow++) {
+      for (let dCol = -1; dCol <= 1; dCol++) {
+        cells.push(indexKey([row + dRow, col + dCol]));
+      }
+    }
+
+    const keys = (await Promise.all(cells.map(cell => store.popIndex(cell)))).flat();
+    await store.del([...new Set(keys)]);
+    return keys.length;
+  }, 0);
+}
+
+module.exports = {
+  buildCacheKey,
+  getCachedCandidates,
+  cacheCandidates,
+  invalidateRoutesNear
+};
@@ -0,0 +1,76 @@
+// services/routeCandidates.js - Fetch, score and detour candidate routes for a trip
+const { getRoutingProvider } = require('./routing');
+const { calculateRouteSafetyScore } = require('./routeSafety');
+const { generateDetours } = require('./detours');
+const { scoreLegs } = require('./routeSegments');
+const { decodePolyline } = require('../utils/polyline');
+
+// Resolves to [{ route, safetyScore }] for every provider alternative, followed by
+// [{ route, safetyScore, waypoints, baseIndex, detour }] for the safest detour of each
+// alternative that passes a hotspot. Everything is JSON-safe, so results can be cached.
+// `weights` are the user's resolved factor weights for the travel mode; `stops` are
+// intermediate stops ({ lat, lng }) to visit in the given order; `timeZone` is the trip's.
+async function calculateRouteCandidates({ origin, destination, stops = [], travelMode, departAt, timeZone, weights }) {
+  // Fetch candidate routes from the configured routing provider
+  const provider = getRoutingProvider();
+  const routes = await provider.getRoutes({
+    origin,
+    destination,
+    waypoints: stops.map(stop => ({ lat: stop.lat, lng: stop.lng, stopover: true })),
+    mode: travelMode,
+    alternatives: true
+  });
+
+  // Score the whole route, then each leg between stops from its segments
+  const scoreRoute = async (route) => {
+    const steps = route.legs.flatMap(leg => leg.steps);
+    const safetyScore = await calculateRouteSafetyScore(route.polyline, {
+      travelMode,
+      transitSteps: steps.filter(step => step.transit),
+      departAt,
+      timeZone,
+      duration: route.duration,
+      weights
+    });
+    safetyScore.legs = scoreLegs(decodePolyline(route.polyline), route.legs, safetyScore.segments, safetyScore.hotspots);
+    return safetyScore;
+  };
+
+  // Calculate safety score of each candidate based on nearby reports
+  const candidates = await Promise.all(routes.map(async route => ({
+    route,
+    safetyScore: await scoreRoute(route)
+  })));
+
+  // Route around report hotspots and keep the safest detour for each candidate
+  const detours = await generateDetours(provider, candidates, { origin, destination, stops, travelMode });
+  const bestDetours = new Map();
+  for (const detour of detours) {
+    const base = candidates[detour.baseIndex];
+    const safetyScore = await scoreRoute(detour.route);
+    const safetyGain = Math.round((safetyScore.overall - base.safetyScore.overall) * 10) / 10;
+    const best = bestDetours.get(detour.baseIndex);
+    if (safetyGain <= 0) continue;
+    if (best && (best.detour.safetyGain > safetyGain ||
+      (best.detour.safetyGain === safetyGain && best.route.duration <= detour.route.duration))) continue;
+
+    bestDetours.set(detour.baseIndex, {
+      route: detour.route,
+      safetyScore,
+      waypoints: detour.waypoints,
+      baseIndex: detour.baseIndex,
+      detour: {
+        avoidedHotspots: detour.hotspots.length,
+        extraDistance: detour.route.distance - base.route.distance,
+        extraDuration: detour.route.duration - base.route.duration,
+        safetyGain
+      }
+    });
+  }
+
+  return [...candidates, ...bestDetours.values()];
+}
+
+module.exports = {
+  calculateRouteCandidates
+};
@@ -0,0 +1,101 @@
+// services/routeDocuments.js - Build Route documents from scored route candidates
+const Route = require('../models/Route');
+const { generateRouteTags } = require('./routeSafety');
+const { withOpenStatus } = require('./safeHavens');
+const { decodePolyline } = require('../utils/polyline');
+const { pathLength } = require('../utils/geo');
+
+// Unsaved Route document for a scored candidate ({ route, safetyScore, waypoints }).
+// `stops` are the intermediate stops in visiting order. Addresses given with the
+// origin, destination or stops take precedence over the provider's leg addresses.
+function buildRouteDocument(userId, candidate, options) {
+  const { routeType, travelMode, departAt, timeZone, timeOfDay, profile, origin = {}, destination = {}, stops = [] } = options;
+  const { route, safetyScore } = candidate;
+  const firstLeg = route.legs[0];
+  const lastLeg = route.legs[route.legs.length - 1];
+
+  // Open status is worked out for this departure, as scored candidates may be cached
+  const safeHavens = withOpenStatus(safetyScore.safeHavens || [], {
+    departAt,
+    distance: pathLength(decodePolyline(route.polyline)),
+    duration: route.duration,
+    timeZone
+  });
+
+  return new Route({
+    userId,
+    origin: {
+      address: origin.address || firstLeg.startAddress,
+      coordinates: {
+        lat: firstLeg.startLocation.lat,
+        lng: firstLeg.startLocation.lng
+      }
+    },
+    destination: {
+      address: destination.address || lastLeg.endAddress,
+      coordinates: {
+        lat: lastLeg.endLocation.lat,
+        lng: lastLeg.endLocation.lng
+      }
+    },
+    waypoints: [
+      ...stops.map((stop, index) => ({
+        coordinates: { lat: stop.lat, lng: stop.lng },
+        address: stop.address || route.legs[index].endAddress,
+        type: 'stop'
+      })),
+      ...(candidate.waypoints || []).map(point => ({
+        coordinates: { lat: point.lat, lng: point.lng },
+        type: 'avoidance'
+      }))
+    ],
+    routeData: {
+      distance: route.distance,
+      duration: route.duration,
+      polyline: route.polyline,
+      steps: route.legs.flatMap((leg, legIndex) => leg.steps.map(step => ({ ...step, legIndex })))
+    },
+    safetyScore: { ...safetyScore, profile: profile.preset },
+    weatherConditions: safetyScore.weather ? {
+      temperature: safetyScore.weather.temperature,
+      condition: safetyScore.weather.condition,
+      visibility: safetyScore.weather.visibility,
+      visibilityMeters: safetyScore.weather.visibilityMeters,
+      precipitation: safetyScore.weather.precipitation,
+      waterloggedSegments: safetyScore.weather.waterloggedSegments
+    } : undefined,
+    legs: safetyScore.legs,
+    segments: safetyScore.segments,
+    hotspots: safetyScore.hotspots.map(hotspot => ({
+      location: hotspot.center,
+      radius: hotspot.radius,
+      impact: hotspot.impact,
+      reports: hotspot.reportIds,
+      reportTypes: hotspot.reportTypes,
+      distanceFromStart: hotspot.distanceFromStart
+    })),
+    safeHavens: safeHavens.map(haven => ({
+      haven: haven.havenId,
+      name: haven.name,
+      category: haven.category,
+      address: haven.address,
+      phone: haven.phone,
+      location: haven.location,
+      openingHours: haven.openingHours && haven.openingHours.text,
+      distanceFromRoute: haven.distanceFromRoute,
+      distanceFromStart: haven.distanceFromStart,
+      passAt: haven.passAt,
+      isOpen: haven.isOpen === null ? undefined : haven.isOpen
+    })),
+    routeType,
+    travelMode,
+    departAt,
+    timeZone,
+    timeOfDay,
+    tags: generateRouteTags(safetyScore, profile.weights)
+  });
+}
+
+module.exports = {
+  buildRouteDocument
+};
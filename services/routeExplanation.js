@@ -0,0 +1,285 @@
+// services/routeExplanation.js - Why a route scored what it did, and how routes compare
+//
+// A stored route keeps its final factors, the weights they were combined with and the
+// change each scoring step made (safetyScore.adjustments). A factor's starting value is
+// its final value less those changes: the defaults for the route's time of day.
+const SafetyReport = require('../models/SafetyReport');
+const { FACTORS, weightsKey } = require('./scoring');
+const { localTime } = require('../utils/timeZone');
+
+const FACTOR_NAMES = {
+  lighting: 'lighting',
+  policePresence: 'police presence',
+  crimeRate: 'crime rate',
+  pedestrianTraffic: 'pedestrian traffic',
+  roadCondition: 'road condition',
+  communityReports: 'community reports'
+};
+
+// What a route with the higher value of a factor has going for it
+const FACTOR_ADVANTAGES = {
+  lighting: 'is better lit',
+  policePresence: 'has more police presence',
+  crimeRate: 'has less recorded crime',
+  pedestrianTraffic: 'has busier streets',
+  roadCondition: 'has better roads',
+  communityReports: 'has fewer community reports'
+};
+
+const SOURCE_NAMES = {
+  geodata: 'mapped streetlights, cameras, police and roads',
+  'safe-havens': 'open safe havens along the way',
+  weather: 'the weather at departure',
+  waterlogging: 'waterlogged stretches',
+  reports: 'reports along the route',
+  feedback: 'feedback from completed trips',
+  'boarding-stops': 'reports near boarding stops',
+  limits: 'keeping the factor within 0-10'
+};
+
+const MIN_CONTRIBUTION_GAP = 0.2; // overall points; smaller factor differences are not mentioned
+const MAX_REASONS = 3;
+const NIGHT_START = 18;
+const NIGHT_END = 6;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const signed = (value) => `${value > 0 ? '+' : ''}${round(value)}`;
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+function formatHour(hour) {
+  return `${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+// Per-factor value, weight, share of the overall score and the changes behind the value
+function factorContributions(route) {
+  const weights = route.getScoringWeights();
+  const adjustments = route.safetyScore.adjustments || [];
+
+  return FACTORS.map(factor => {
+    const value = route.safetyScore.factors[factor];
+    const changes = adjustments
+      .filter(adjustment => adjustment.factor === factor)
+      .map(({ source, change }) => ({ source, change }));
+
+    return {
+      factor,
+      value: round(value),
+      weight: weights[factor],
+      contribution: round(value * weights[factor], 2),
+      baseline: round(value - changes.reduce((sum, { change }) => sum + change, 0)),
+      adjustments: changes
+    };
+  });
+}
+
+// Reports the route's segments were scored with, with where and when they happened
+async function routeReports(route) {
+  const scored = route.segments.flatMap(segment =>
+    segment.reports.map(report => ({ ...report.toObject(), distanceFromStart: segment.startDistance }))
+  );
+  if (scored.length === 0) return [];
+
+  const details = await SafetyReport.find({ _id: { $in: scored.map(report => report.reportId) } })
+    .select('location.address location.landmark timeOfIncident status');
+  const byId = new Map(details.map(report => [report._id.toString(), report]));
+
+  return scored
+    .map(report => {
+      const detail = byId.get(String(report.reportId));
+      return {
+        reportId: report.reportId,
+        reportType: report.reportType,
+        severity: report.severity,
+        reporters: report.reporters || 1,
+        impact: report.impact,
+        distanceFromStart: report.distanceFromStart,
+        address: detail ? detail.location.address : undefined,
+        landmark: detail ? detail.location.landmark : undefined,
+        timeOfIncident: detail ? detail.timeOfIncident : undefined,
+        status: detail ? detail.status : undefined
+      };
+    })
+    .sort((a, b) => a.impact - b.impact);
+}
+
+// "3 harassment reports near MG Road after 9 PM"; each report stands for an incident,
+// so one reported by several people reads "1 harassment report ... (made by 4 people)"
+function describeReportGroup(reports, timeZone) {
+  const type = reports[0].reportType.toLowerCase();
+  const reporters = reports.reduce((sum, report) => sum + report.reporters, 0);
+  let text = `${reports.length} ${type} report${reports.length === 1 ? '' : 's'}`;
+
+  // The place most of them name: a landmark, or the first part of the address
+  const places = reports
+    .map(report => report.landmark || (report.address && report.address.split(',')[0].trim()))
+    .filter(Boolean);
+  if (places.length > 0) {
+    const counts = new Map();
+    places.forEach(place => counts.set(place, (counts.get(place) || 0) + 1));
+    const [place] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    text += ` near ${place}`;
+  }
+
+  const hours = reports
+    .filter(report => report.timeOfIncident)
+    .map(report => localTime(report.timeOfIncident, timeZone).hour);
+  if (hours.length === reports.length) {
+    if (hours.every(hour => hour >= NIGHT_START || hour < NIGHT_END)) {
+      // Earliest in the evening, counting past midnight as later
+      const earliest = hours.sort((a, b) => (a - NIGHT_START + 24) % 24 - (b - NIGHT_START + 24) % 24)[0];
+      text += ` after ${formatHour(earliest)}`;
+    } else if (hours.every(hour => hour >= NIGHT_END && hour < NIGHT_START)) {
+      text += ' during the day';
+    }
+  }
+
+  if (reporters > reports.length) text += ` (made by ${reporters} people)`;
+  return text;
+}
+
+// Reports grouped by type, heaviest total impact first
+function groupReports(reports) {
+  const groups = new Map();
+  reports.forEach(report => {
+    if (!groups.has(report.reportType)) groups.set(report.reportType, []);
+    groups.get(report.reportType).push(report);
+  });
+
+  return [...groups.values()]
+    .map(group => ({ reports: group, impact: group.reduce((sum, report) => sum + report.impact, 0) }))
+    .sort((a, b) => a.impact - b.impact);
+}
+
+// Short sentences on what moved one route's score the most
+function summarize(label, explanation) {
+  // A change that pushed a factor past 0 or 10 only moved it as far as the limit
+  const reasons = explanation.factors
+    .flatMap(factor => {
+      const limited = factor.adjustments.some(adjustment => adjustment.source === 'limits');
+      const net = Math.abs(factor.value - factor.baseline);
+      return factor.adjustments
+        .filter(adjustment => adjustment.source !== 'limits')
+        .map(({ source, change }) => ({
+          factor: factor.factor,
+          source,
+          change,
+          limited,
+          effect: Math.min(Math.abs(change), limited ? net : Infinity) * factor.weight
+        }));
+    })
+    .sort((a, b) => b.effect - a.effect)
+    .slice(0, MAX_REASONS)
+    .map(({ factor, source, change, limited }) =>
+      `${FACTOR_NAMES[factor]} ${signed(change)} from ${SOURCE_NAMES[source]}${limited ? ' (held within 0-10)' : ''}`
+    );
+
+  const summary = [`${label} scores ${explanation.overall}/10.`];
+  if (reasons.length > 0) summary.push(`${capitalize(reasons.join('; '))}.`);
+
+  groupReports(explanation.reports).slice(0, 2).forEach(group => {
+    summary.push(`${label} passes ${describeReportGroup(group.reports, explanation.timeZone)}.`);
+  });
+
+  if (explanation.weather && explanation.weather.waterloggedSegments > 0) {
+    const count = explanation.weather.waterloggedSegments;
+    summary.push(`${label} has ${count} stretch${count === 1 ? '' : 'es'} prone to waterlogging in the rain.`);
+  }
+
+  return summary;
+}
+
+// Explain one stored route's safety score
+async function explainRoute(route, label = 'The route') {
+  const explanation = {
+    routeId: route._id,
+    label,
+    overall: route.safetyScore.overall,
+    routeType: route.routeType,
+    travelMode: route.travelMode,
+    departAt: route.departAt,
+    timeZone: route.timeZone,
+    timeOfDay: route.timeOfDay,
+    profile: route.safetyScore.profile,
+    distance: route.routeData.distance,
+    duration: route.routeData.duration,
+    weights: route.getScoringWeights(),
+    factors: factorContributions(route),
+    reports: await routeReports(route),
+    hotspots: route.hotspots.length,
+    geodata: route.safetyScore.geodata,
+    safeHavens: route.safeHavens.map(haven => ({
+      name: haven.name,
+      category: haven.category,
+      distanceFromStart: haven.distanceFromStart,
+      isOpen: haven.isOpen
+    })),
+    weather: route.weatherConditions && route.weatherConditions.condition
+      ? route.weatherConditions
+      : undefined
+  };
+
+  explanation.summary = summarize(label, explanation);
+  return explanation;
+}
+
+// Sentences on how each route differs from the highest-scoring one
+function compareExplanations(explanations) {
+  const best = explanations.reduce((top, explanation) =>
+    explanation.overall > top.overall ? explanation : top
+  );
+  const text = [
+    explanations.map(explanation => `${explanation.label} scores ${explanation.overall}/10`).join(', ') + '.'
+  ];
+  const differences = [];
+
+  explanations.filter(other => other !== best).forEach(other => {
+    if (weightsKey(other.weights) !== weightsKey(best.weights)) {
+      text.push(`${other.label} was scored with different factor weights than ${best.label}, so the scores are not directly comparable.`);
+    }
+
+    // Factors where the safer route gains the most, in overall points
+    const gaps = FACTORS
+      .map((factor, index) => ({
+        factor,
+        values: [best.factors[index].value, other.factors[index].value],
+        gap: round(best.factors[index].contribution - other.factors[index].contribution, 2)
+      }))
+      .filter(({ gap }) => Math.abs(gap) >= MIN_CONTRIBUTION_GAP)
+      .sort((a, b) => Math.abs(b.gap) - Math.abs(a.gap));
+
+    differences.push({
+      routeId: other.routeId,
+      comparedTo: best.routeId,
+      scoreDifference: round(best.overall - other.overall),
+      factors: gaps
+    });
+
+    gaps.filter(({ gap }) => gap > 0).slice(0, 2).forEach(({ factor, values }) => {
+      text.push(`${best.label} ${FACTOR_ADVANTAGES[factor]} (${FACTOR_NAMES[factor]} ${values[0]} vs ${values[1]}).`);
+    });
+    gaps.filter(({ gap }) => gap < 0).slice(0, 1).forEach(({ factor, values }) => {
+      text.push(`${other.label} ${FACTOR_ADVANTAGES[factor]} (${FACTOR_NAMES[factor]} ${values[1]} vs ${values[0]}).`);
+    });
+
+    // Report types the lower-scoring route passes more of
+    const bestCounts = new Map(groupReports(best.reports).map(group => [group.reports[0].reportType, group.reports.length]));
+    groupReports(other.reports)
+      .filter(group => group.reports.length > (bestCounts.get(group.reports[0].reportType) || 0))
+      .slice(0, 2)
+      .forEach(group => {
+        text.push(`${other.label} passes ${describeReportGroup(group.reports, other.timeZone)}.`);
+      });
+
+    const openHavens = (explanation) => explanation.safeHavens.filter(haven => haven.isOpen !== false).length;
+    if (openHavens(best) > openHavens(other)) {
+      text.push(`${best.label} passes ${openHavens(best)} open safe haven${openHavens(best) === 1 ? '' : 's'}, ${other.label} ${openHavens(other) || 'none'}.`);
+    }
+  });
+
+  return { safest: best.routeId, differences, text };
+}
+
+module.exports = {
+  explainRoute,
+  compareExplanations
+};
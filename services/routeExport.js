@@ -0,0 +1,229 @@
+// services/routeExport.js - Export stored routes as GPX, KML or GeoJSON files
+//
+// Every format carries the full line, the scored safety segments, report hotspots and
+// the turn-by-turn instructions, so a route can be opened in other navigation apps or
+// sent to family as a file.
+const { decodePolyline } = require('../utils/polyline');
+
+const FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+// KML line colours (aabbggrr) per segment safety level
+const LEVEL_COLORS = {
+  safe: 'ff50af4c',
+  caution: 'ff07c1ff',
+  unsafe: 'ff3643f4'
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Providers may return instructions as HTML
+const plainText = (html) => String(html || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const routeName = (route) =>
+  `${route.origin.address || 'Start'} to ${route.destination.address || 'Destination'}`;
+
+// Format-neutral view of a stored route
+function describeRoute(route) {
+  const { features } = route.getSegmentFeatures();
+
+  return {
+    id: String(route._id),
+    name: routeName(route),
+    travelMode: route.travelMode,
+    distance: route.routeData.distance,
+    duration: route.routeData.duration,
+    safetyScore: route.safetyScore.overall,
+    tags: route.tags,
+    points: decodePolyline(route.routeData.polyline),
+    segments: features.filter(feature => feature.properties.kind === 'segment'),
+    hotspots: features.filter(feature => feature.properties.kind === 'hotspot'),
+    steps: route.routeData.steps.map((step, index) => ({
+      index,
+      instruction: plainText(step.instruction),
+      distance: step.distance,
+      duration: step.duration,
+      location: step.startLocation,
+      travelMode: step.travelMode
+    }))
+  };
+}
+
+function toGeoJSON(routes) {
+  const features = routes.flatMap(route => [
+    {
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: route.points.map(point => [point.lng, point.lat])
+      },
+      properties: {
+        kind: 'route',
+        routeId: route.id,
+        name: route.name,
+        travelMode: route.travelMode,
+        distance: route.distance,
+        duration: route.duration,
+        safetyScore: route.safetyScore,
+        tags: route.tags
+      }
+    },
+    ...route.segments.map(feature => ({
+      ...feature,
+      properties: { routeId: route.id, ...feature.properties }
+    })),
+    ...route.hotspots.map(feature => ({
+      ...feature,
+      properties: { routeId: route.id, ...feature.properties }
+    })),
+    ...route.steps.map(step => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: [step.location.lng, step.location.lat]
+      },
+      properties: {
+        kind: 'step',
+        routeId: route.id,
+        index: step.index,
+        instruction: step.instruction,
+        distance: step.distance,
+        duration: step.duration,
+        travelMode: step.travelMode
+      }
+    }))
+  ]);
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+// GPX 1.1: a <rte> of instruction points and a <trk> with one <trkseg> per safety
+// segment (score and level in extensions), plus hotspots as waypoints
+function toGPX(routes) {
+  const point = (tag, { lat, lng }, children = '') =>
+    `<${tag} lat="${lat}" lon="${lng}">${children}</${tag}>`;
+
+  const parts = routes.map(route => {
+    const waypoints = route.hotspots.map(hotspot => {
+      const [lng, lat] = hotspot.geometry.coordinates;
+      const { reportTypes, reportCount, radius } = hotspot.properties;
+      return point('wpt', { lat, lng },
+        `<name>${escapeXml(`Caution: ${reportTypes.join(', ')}`)}</name>` +
+        `<desc>${escapeXml(`${reportCount} safety reports within ${radius} m`)}</desc>` +
+        '<type>hotspot</type>');
+    }).join('\n  ');
+
+    const routePoints = route.steps.map(step => point('rtept', step.location,
+      `<name>${escapeXml(`Step ${step.index + 1}`)}</name><desc>${escapeXml(step.instruction)}</desc>`
+    )).join('\n    ');
+
+    const trackSegments = route.segments.map(segment => {
+      const { safetyScore, level, reports } = segment.properties;
+      const points = segment.geometry.coordinates
+        .map(([lng, lat]) => point('trkpt', { lat, lng }))
+        .join('');
+      return `<trkseg>${points}<extensions><safety:segment score="${safetyScore}" level="${level}" reports="${reports.length}"/></extensions></trkseg>`;
+    }).join('\n    ');
+
+    return {
+      waypoints,
+      route: `<rte>\n    <name>${escapeXml(route.name)}</name>\n    ${routePoints}\n  </rte>`,
+      track: `<trk>\n    <name>${escapeXml(route.name)}</name>\n` +
+        `    <desc>${escapeXml(`Safety score ${route.safetyScore}/10 (${route.travelMode})`)}</desc>\n` +
+        `    ${trackSegments}\n  </trk>`
+    };
+  });
+
+  // GPX requires every wpt before any rte, and every rte before any trk
+  const body = ['waypoints', 'route', 'track']
+    .flatMap(part => parts.map(p => p[part]))
+    .filter(Boolean)
+    .join('\n  ');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="Safety Route Navigator" xmlns="http://www.topografix.com/GPX/1/1" ' +
+    'xmlns:safety="urn:safety-route-navigator:gpx">\n' +
+    `  <metadata><name>${escapeXml(routes.length === 1 ? routes[0].name : 'Saved routes')}</name></metadata>\n` +
+    `  ${body}\n</gpx>\n`;
+}
+
+// KML: one folder per route with colour-coded segment lines, hotspots and steps
+function toKML(routes) {
+  const coordinates = (positions) => positions.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+  const data = (fields) => `<ExtendedData>${Object.entries(fields)
+    .map(([name, value]) => `<Data name="${name}"><value>${escapeXml(value)}</value></Data>`)
+    .join('')}</ExtendedData>`;
+
+  const styles = Object.entries(LEVEL_COLORS).map(([level, color]) =>
+    `<Style id="${level}"><LineStyle><color>${color}</color><width>5</width></LineStyle></Style>`
+  ).join('\n    ');
+
+  const folders = routes.map(route => {
+    const segments = route.segments.map(segment => {
+      const { index, safetyScore, level, reports, startDistance, endDistance } = segment.properties;
+      return `<Placemark><name>${escapeXml(`Segment ${index + 1}: ${safetyScore}/10`)}</name>` +
+        `<styleUrl>#${level}</styleUrl>` +
+        data({ safetyScore, level, reports: reports.length, startDistance, endDistance }) +
+        `<LineString><tessellate>1</tessellate><coordinates>${coordinates(segment.geometry.coordinates)}</coordinates></LineString></Placemark>`;
+    });
+
+    const hotspots = route.hotspots.map(hotspot => {
+      const { reportTypes, reportCount, radius, impact } = hotspot.properties;
+      return `<Placemark><name>${escapeXml(`Caution: ${reportTypes.join(', ')}`)}</name>` +
+        `<description>${escapeXml(`${reportCount} safety reports within ${radius} m`)}</description>` +
+        data({ reportCount, radius, impact }) +
+        `<Point><coordinates>${coordinates([hotspot.geometry.coordinates])}</coordinates></Point></Placemark>`;
+    });
+
+    const steps = route.steps.map(step =>
+      `<Placemark><name>${escapeXml(`Step ${step.index + 1}`)}</name>` +
+      `<description>${escapeXml(step.instruction)}</description>` +
+      data({ distance: step.distance, duration: step.duration }) +
+      `<Point><coordinates>${step.location.lng},${step.location.lat}</coordinates></Point></Placemark>`
+    );
+
+    return `<Folder>\n      <name>${escapeXml(route.name)}</name>\n` +
+      `      <description>${escapeXml(`Safety score ${route.safetyScore}/10 (${route.travelMode})`)}</description>\n` +
+      `      ${[...segments, ...hotspots, ...steps].join('\n      ')}\n    </Folder>`;
+  }).join('\n    ');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2">\n  <Document>\n' +
+    `    <name>${escapeXml(routes.length === 1 ? routes[0].name : 'Saved routes')}</name>\n` +
+    `    ${styles}\n    ${folders}\n  </Document>\n</kml>\n`;
+}
+
+const WRITERS = {
+  gpx: toGPX,
+  kml: toKML,
+  geojson: toGeoJSON
+};
+
+// Export Route documents in one of FORMATS.
+// Returns { contentType, extension, body }.
+function exportRoutes(routes, format) {
+  const writer = WRITERS[format];
+  if (!writer) {
+    const error = new Error(`Format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  return {
+    ...FORMATS[format],
+    body: writer(routes.map(describeRoute))
+  };
+}
+
+module.exports = {
+  FORMATS,
+  exportRoutes
+};
@@ -0,0 +1,235 @@
+// services/routeSafety.js - Safety scoring for calculated routes
+const Route = require('../models/Route');
+const SafetyReport = require('../models/SafetyReport');
+const { decodePolyline } = require('../utils/polyline');
+const { computeGeodataFactors } = require('./geodata/routeFactors');
+const { REPORT_RADIUS, scoreSegments, clusterHotspots } = require('./routeSegments');
+const { FACTORS, resolveProfile, scoreFactors } = require('./scoring');
+const { loadFeedbackScores, feedbackImpact } = require('./feedbackScoring');
+const { findSafeHavensAlong, withOpenStatus, safeHavenFactors } = require('./safeHavens');
+const { loadWeather, weatherFactorChanges, findWaterlogging, flagWaterlogging } = require('./weatherScoring');
+const { collapseIncidents, corroborationBoost } = require('./incidents');
+const { pathLength } = require('../utils/geo');
+const { DEFAULT_TIME_ZONE, localTime } = require('../utils/timeZone');
+
+// Lighting and pedestrian traffic by time of day (0-10, higher is safer)
+const TIME_PROFILES = {
+  morning: { lighting: 9, pedestrianTraffic: 7 },
+  afternoon: { lighting: 10, pedestrianTraffic: 7 },
+  evening: { lighting: 7, pedestrianTraffic: 8 },
+  night: { lighting: 5, pedestrianTraffic: 4 },
+  'late-night': { lighting: 4, pedestrianTraffic: 2 }
+};
+
+// How much a report counts when travelling at `hour` (local to `timeZone`): full weight
+// for incidents at the same hour, tapering to a quarter for incidents six or more hours away
+function timeOfDayWeight(report, hour, timeZone) {
+  const incidentHour = localTime(report.timeOfIncident, timeZone).hour;
+  const difference = Math.abs(incidentHour - hour);
+  const hoursApart = Math.min(difference, 24 - difference);
+  return 0.25 + 0.75 * Math.max(0, 1 - hoursApart / 6);
+}
+
+// Calculate a route's safety score from geodata and community reports along its polyline.
+// `weights` are the factor weights from the user's safety profile (mode defaults otherwise);
+// `duration` (seconds) dates when each safe haven along the route is passed. Hours of
+// the day are taken in the trip's `timeZone`.
+async function calculateRouteSafetyScore(polyline, {
+  travelMode = 'drive',
+  transitSteps = [],
+  departAt = new Date(),
+  timeZone = DEFAULT_TIME_ZONE,
+  duration = 0,
+  weights = resolveProfile({}, travelMode).weights
+} = {}) {
+  const { hour } = localTime(departAt, timeZone);
+  const timeOfDay = Route.getTimeOfDay(hour);
+  const timeProfile = TIME_PROFILES[timeOfDay];
+
+  // Decode polyline and get points along the route
+  const routePoints = decodePolyline(polyline);
+  
+  const factors = {
+    lighting: timeProfile.lighting,
+    policePresence: 6,
+    crimeRate: 7,
+    pedestrianTraffic: timeProfile.pedestrianTraffic,
+    roadCondition: 7,
+    communityReports: 8
+  };
+
+  // What each step below changed, so a score can be explained later
+  const adjustments = [];
+  let before = { ...factors };
+  const recordChanges = (source) => {
+    FACTORS.forEach(factor => {
+      const change = Math.round((factors[factor] - before[factor]) * 10) / 10;
+      if (change !== 0) adjustments.push({ factor, source, change });
+    });
+    before = { ...factors };
+  };
+
+  // Replace defaults with factors measured from geodata layers where they are loaded
+  const geodata = await computeGeodataFactors(routePoints, { timeOfDay });
+  Object.assign(factors, geodata.factors);
+  recordChanges('geodata');
+
+  // Police stations, help desks and late-night shops that are open when passed
+  const distance = pathLength(routePoints);
+  const safeHavens = withOpenStatus(await findSafeHavensAlong(routePoints), { departAt, distance, duration, timeZone });
+  const havenIncreases = safeHavenFactors(safeHavens, {
+    km: distance / 1000,
+    policeMeasured: geodata.features.policeStations !== undefined
+  });
+  Object.entries(havenIncreases).forEach(([factor, increase]) => {
+    factors[factor] = Math.round(Math.min(10, factors[factor] + increase) * 10) / 10;
+  });
+  recordChanges('safe-havens');
+
+  // Rain, fog and poor visibility at departure
+  const weather = await loadWeather(routePoints, departAt);
+  const weatherChanges = weatherFactorChanges(weather, travelMode);
+  Object.entries(weatherChanges).forEach(([factor, change]) => {
+    factors[factor] = Math.round(Math.max(0, factors[factor] + change) * 10) / 10;
+  });
+  recordChanges('weather');
+  const baseFactors = { ...factors };
+
+  // Fetch every report in a corridor around the route with one query. Duplicates of an
+  // incident count once, more the more people reported it, against the nearest segment.
+  const { reports: routeReports, reportersOf } = collapseIncidents(
+    await SafetyReport.findAlongRoute(routePoints, REPORT_RADIUS)
+  );
+  const impactOf = (report) =>
+    report.calculateSafetyImpact() * timeOfDayWeight(report, hour, timeZone) * corroborationBoost(reportersOf(report));
+
+  // Completed-trip feedback in the grid cells the route crosses
+  const feedbackScores = await loadFeedbackScores(routePoints);
+  const pathImpactOf = (points) => feedbackImpact(points, feedbackScores);
+
+  const segments = scoreSegments(routePoints, routeReports, { baseFactors, weights, impactOf, pathImpactOf, reportersOf });
+
+  // While it rains, stretches past known waterlogging spots are worse going
+  const waterlogging = await findWaterlogging(routePoints, weather);
+  factors.roadCondition = Math.round((factors.roadCondition + flagWaterlogging(segments, routePoints, waterlogging)) * 10) / 10;
+  recordChanges('waterlogging');
+
+  // Reduce score based on report severity and how close to the travel hour it happened
+  segments.forEach(segment => {
+    segment.reports.forEach(report => {
+      factors.communityReports += report.impact;
+    });
+  });
+  recordChanges('reports');
+
+  // Raise or lower the score where people who completed trips here felt safe or unsafe
+  const tripFeedback = pathImpactOf(routePoints);
+  factors.communityReports += tripFeedback;
+  recordChanges('feedback');
+
+  // Transit riders spend time waiting at boarding stops, so score those separately
+  const boardingStops = await scoreBoardingStops(transitSteps, hour, timeZone);
+  boardingStops.forEach(stop => {
+    factors.communityReports += stop.impact / boardingStops.length;
+  });
+  recordChanges('boarding-stops');
+
+  // Normalize factors to 0-10 range
+  Object.keys(factors).forEach(key => {
+    factors[key] = Math.max(0, Math.min(10, factors[key]));
+  });
+  recordChanges('limits');
+
+  const result = {
+    overall: scoreFactors(factors, weights),
+    factors,
+    weights,
+    adjustments,
+    geodata: {
+      ...geodata.features,
+      safeHavens: safeHavens.length,
+      openSafeHavens: safeHavens.filter(haven => haven.isOpen !== false).length
+    },
+    feedback: {
+      cells: feedbackScores.size,
+      impact: Math.round(tripFeedback * 10) / 10
+    },
+    weather: weather && {
+      ...weather,
+      adjustments: weatherChanges,
+      waterloggedSegments: segments.filter(segment => segment.waterlogging).length
+    },
+    segments,
+    hotspots: clusterHotspots(routePoints, routeReports, impactOf),
+    safeHavens: safeHavens.map(({ passAt, isOpen, ...haven }) => haven)
+  };
+
+  if (travelMode === 'transit') {
+    result.boardingStops = boardingStops.map(({ impact, ...stop }) => stop);
+  }
+
+  return result;
+}
+
+// Score the stops where a transit route boards a vehicle.
+// Reports near a stop weigh more the longer the expected wait there.
+async function scoreBoardingStops(transitSteps, hour, timeZone) {
+  const DEFAULT_WAIT = 600; // seconds, when the provider has no headway
+  const MAX_WAIT = 1800;
+
+  return Promise.all(transitSteps.map(async step => {
+    const { departureStop, line } = step.transit;
+    const waitTime = step.transit.waitTime || DEFAULT_WAIT;
+    const { reports: nearbyReports, reportersOf } = collapseIncidents(await SafetyReport.findNearby(
+      [departureStop.location.lng, departureStop.location.lat],
+      300
+    ));
+
+    const reportImpact = nearbyReports.reduce(
+      (sum, report) => sum + report.calculateSafetyImpact() * timeOfDayWeight(report, hour, timeZone) *
+        corroborationBoost(reportersOf(report)),
+      0
+    );
+    const impact = reportImpact * (1 + Math.min(waitTime, MAX_WAIT) / MAX_WAIT);
+
+    return {
+      name: departureStop.name,
+      location: departureStop.location,
+      line,
+      waitTime,
+      nearbyReports: nearbyReports.length,
+      safetyScore: Math.round(Math.max(0, 10 + impact) * 10) / 10,
+      impact
+    };
+  }));
+}
+
+// Generate display tags from a route's safety factors, most important to the
+// user's profile first (each tag is ranked by the weight of the factor behind it)
+function generateRouteTags(safetyScore, weights = safetyScore.weights || {}) {
+  const tags = [];
+  const tag = (label, factor) => tags.push({ label, weight: weights[factor] || 0 });
+  
+  if (safetyScore.factors.lighting >= 7) tag('Well-Lit', 'lighting');
+  if (safetyScore.factors.policePresence >= 7) tag('Police Patrolled', 'policePresence');
+  if (safetyScore.factors.pedestrianTraffic >= 6) tag('High Traffic', 'pedestrianTraffic');
+
+  // Prefer measured road classes and camera density when geodata covers the route
+  const geodata = safetyScore.geodata || {};
+  if (geodata.mainRoadShare !== undefined) {
+    if (geodata.mainRoadShare >= 0.6) tag('Main Roads', 'roadCondition');
+    if (geodata.residentialShare >= 0.5) tag('Residential Area', 'pedestrianTraffic');
+  } else if (safetyScore.factors.roadCondition >= 7) {
+    tag('Main Roads', 'roadCondition');
+  }
+  if (geodata.cctvPerKm >= 5) tag('CCTV Coverage', 'policePresence');
+  
+  // Stable sort keeps the order above for equally weighted tags
+  return tags.sort((a, b) => b.weight - a.weight).map(t => t.label);
+}
+
+module.exports = {
+  timeOfDayWeight,
+  calculateRouteSafetyScore,
+  generateRouteTags
+};
@@ -0,0 +1,257 @@
+// services/routeSegments.js - Per-segment safety breakdown and report hotspots for a route
+const { haversineDistance, distanceToPath, nearestPointIndex } = require('../utils/geo');
+const { scoreFactors } = require('./scoring');
+
+const SEGMENT_LENGTH = 300; // meters of route per scored segment
+const REPORT_RADIUS = 300; // corridor half-width; reports further from every segment are ignored
+const CLUSTER_RADIUS = 300; // reports closer than this to a hotspot center join it
+const HOTSPOT_IMPACT = -5; // summed report impact at or below which a cluster is a hotspot
+const BASE_COMMUNITY_SCORE = 8;
+
+const toLatLng = (report) => ({
+  lat: report.location.coordinates[1],
+  lng: report.location.coordinates[0]
+});
+
+const round = (value) => Math.round(value * 10) / 10;
+
+function centroid(locations) {
+  return {
+    lat: locations.reduce((sum, l) => sum + l.lat, 0) / locations.length,
+    lng: locations.reduce((sum, l) => sum + l.lng, 0) / locations.length
+  };
+}
+
+// Distance from the start of the route to each point, in meters
+function cumulativeDistances(routePoints) {
+  const distances = [0];
+  for (let i = 1; i < routePoints.length; i++) {
+    distances.push(distances[i - 1] + haversineDistance(routePoints[i - 1], routePoints[i]));
+  }
+  return distances;
+}
+
+// Cut the route into runs of roughly SEGMENT_LENGTH meters, on point boundaries
+function splitSegments(routePoints) {
+  const distances = cumulativeDistances(routePoints);
+  const segments = [];
+  let startIndex = 0;
+
+  for (let i = 1; i < routePoints.length; i++) {
+    const isLast = i === routePoints.length - 1;
+    if (distances[i] - distances[startIndex] >= SEGMENT_LENGTH || isLast) {
+      segments.push({
+        startIndex,
+        endIndex: i,
+        startDistance: Math.round(distances[startIndex]),
+        endDistance: Math.round(distances[i])
+      });
+      startIndex = i;
+    }
+  }
+
+  return segments;
+}
+
+// Score each segment with the route's base factors and the reports nearest to it.
+// `impactOf(report)` returns the (negative) score impact of a report for this trip;
+// `pathImpactOf(points)` optionally adds an impact for the segment's own stretch of path;
+// `reportersOf(report)` gives how many people reported the incident behind a report.
+function scoreSegments(routePoints, reports, {
+  baseFactors,
+  weights,
+  impactOf,
+  pathImpactOf = () => 0,
+  reportersOf = () => 1
+}) {
+  const segments = splitSegments(routePoints).map(segment => ({ ...segment, reports: [] }));
+  if (segments.length === 0) return [];
+
+  // Each report belongs to the single segment it is closest to
+  reports.forEach(report => {
+    const location = toLatLng(report);
+    let nearest = null;
+    let nearestDistance = REPORT_RADIUS;
+
+    segments.forEach(segment => {
+      const path = routePoints.slice(segment.startIndex, segment.endIndex + 1);
+      const distance = distanceToPath(location, path);
+      if (distance <= nearestDistance) {
+        nearest = segment;
+        nearestDistance = distance;
+      }
+    });
+
+    if (nearest) nearest.reports.push(report);
+  });
+
+  return segments.map(segment => {
+    const pathImpact = pathImpactOf(routePoints.slice(segment.startIndex, segment.endIndex + 1));
+    const impact = segment.reports.reduce((sum, report) => sum + impactOf(report), 0) + pathImpact;
+    const factors = {
+      ...baseFactors,
+      communityReports: Math.max(0, Math.min(10, BASE_COMMUNITY_SCORE + impact))
+    };
+
+    return {
+      startIndex: segment.startIndex,
+      endIndex: segment.endIndex,
+      startDistance: segment.startDistance,
+      endDistance: segment.endDistance,
+      safetyScore: scoreFactors(factors, weights),
+      feedbackImpact: round(pathImpact),
+      reports: segment.reports.map(report => ({
+        reportId: report._id,
+        reportType: report.reportType,
+        severity: report.severity,
+        reporters: reportersOf(report),
+        impact: round(impactOf(report))
+      }))
+    };
+  });
+}
+
+// Group reports into clusters and keep the serious ones, ordered along the route
+function clusterHotspots(routePoints, reports, impactOf) {
+  const distances = cumulativeDistances(routePoints);
+  const clusters = [];
+
+  reports.forEach(report => {
+    const location = toLatLng(report);
+    const cluster = clusters.find(c => haversineDistance(c.center, location) <= CLUSTER_RADIUS);
+
+    if (cluster) {
+      cluster.reports.push(report);
+      cluster.locations.push(location);
+      cluster.center = centroid(cluster.locations);
+    } else {
+      clusters.push({ center: location, locations: [location], reports: [report] });
+    }
+  });
+
+  return clusters
+    .map(cluster => {
+      const routeIndex = nearestPointIndex(routePoints, cluster.center);
+      return {
+        center: cluster.center,
+        radius: Math.round(Math.max(...cluster.locations.map(l => haversineDistance(cluster.center, l)))),
+        impact: round(cluster.reports.reduce((sum, report) => sum + impactOf(report), 0)),
+        reportIds: cluster.reports.map(report => report._id),
+        reportTypes: [...new Set(cluster.reports.map(report => report.reportType))],
+        routeIndex,
+        distanceFromStart: Math.round(distances[routeIndex] || 0)
+      };
+    })
+    .filter(hotspot => hotspot.impact <= HOTSPOT_IMPACT)
+    .sort((a, b) => a.routeIndex - b.routeIndex);
+}
+
+const safetyLevel = (score) => {
+  if (score >= 7) return 'safe';
+  if (score >= 5) return 'caution';
+  return 'unsafe';
+};
+
+// Score each leg of a multi-stop route from the segments it spans, weighted by how
+// much of each segment falls inside the leg. Leg ends are found along the polyline
+// in order, so a route that passes the same place twice still splits correctly.
+function scoreLegs(routePoints, legs, segments, hotspots = []) {
+  const distances = cumulativeDistances(routePoints);
+  let startIndex = 0;
+
+  return legs.map((leg, index) => {
+    const isLast = index === legs.length - 1;
+    let endIndex = routePoints.length - 1;
+    if (!isLast) {
+      const remaining = routePoints.slice(startIndex);
+      endIndex = startIndex + nearestPointIndex(remaining, leg.endLocation);
+    }
+
+    const startDistance = distances[startIndex] || 0;
+    const endDistance = distances[endIndex] || 0;
+    let weighted = 0;
+    let covered = 0;
+    let reportCount = 0;
+
+    segments.forEach(segment => {
+      const overlap = Math.min(endDistance, segment.endDistance) - Math.max(startDistance, segment.startDistance);
+      if (overlap <= 0) return;
+      weighted += segment.safetyScore * overlap;
+      covered += overlap;
+      // Reports are counted with the leg holding the larger part of their segment
+      if (overlap * 2 >= segment.endDistance - segment.startDistance) reportCount += segment.reports.length;
+    });
+
+    const scoredLeg = {
+      index,
+      startAddress: leg.startAddress,
+      endAddress: leg.endAddress,
+      startLocation: leg.startLocation,
+      endLocation: leg.endLocation,
+      distance: leg.distance,
+      duration: leg.duration,
+      startDistance: Math.round(startDistance),
+      endDistance: Math.round(endDistance),
+      safetyScore: covered > 0 ? round(weighted / covered) : null,
+      reportCount,
+      hotspotCount: hotspots.filter(h => h.distanceFromStart >= startDistance &&
+        (isLast ? h.distanceFromStart <= endDistance : h.distanceFromStart < endDistance)).length
+    };
+
+    startIndex = endIndex;
+    return scoredLeg;
+  });
+}
+
+// GeoJSON FeatureCollection of the scored segments (LineStrings) and hotspots (Points)
+function toFeatureCollection(routePoints, segments, hotspots = []) {
+  const toPosition = (point) => [point.lng, point.lat];
+
+  return {
+    type: 'FeatureCollection',
+    features: [
+      ...segments.map((segment, index) => ({
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: routePoints.slice(segment.startIndex, segment.endIndex + 1).map(toPosition)
+        },
+        properties: {
+          kind: 'segment',
+          index,
+          startDistance: segment.startDistance,
+          endDistance: segment.endDistance,
+          safetyScore: segment.safetyScore,
+          level: safetyLevel(segment.safetyScore),
+          waterlogging: Boolean(segment.waterlogging),
+          reports: segment.reports
+        }
+      })),
+      ...hotspots.map(hotspot => ({
+        type: 'Feature',
+        geometry: {
+          type: 'Point',
+          coordinates: toPosition(hotspot.center)
+        },
+        properties: {
+          kind: 'hotspot',
+          radius: hotspot.radius,
+          impact: hotspot.impact,
+          reportCount: hotspot.reportIds.length,
+          reportIds: hotspot.reportIds,
+          reportTypes: hotspot.reportTypes,
+          distanceFromStart: hotspot.distanceFromStart
+        }
+      }))
+    ]
+  };
+}
+
+module.exports = {
+  REPORT_RADIUS,
+  cumulativeDistances,
+  scoreSegments,
+  clusterHotspots,
+  scoreLegs,
+  toFeatureCollection
+};
@@ -0,0 +1,79 @@
+// services/routing/common.js - Helpers shared by the routing provider adapters
+
+const REQUEST_TIMEOUT = 10000; // ms to wait for a provider before giving up
+
+// Error thrown when a provider cannot produce a route; `status` is picked up by the
+// handlers. 400 means the request itself cannot be routed (unsupported mode, no route
+// between the points, coordinates off the road network); 502 means the provider failed.
+function routingError(details, status = 502) {
+  const error = new Error(status === 400 ? 'Unable to calculate route' : 'Routing service is unavailable');
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+// Routing error for a provider request that failed outright: a timeout, a network
+// error or an unexpected HTTP status
+function providerError(error) {
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return routingError('TIMEOUT');
+  return routingError(error.response ? `HTTP_${error.response.status}` : (error.code || error.message));
+}
+
+// Human readable distance, e.g. "850 m" or "5.2 km"
+function formatDistance(meters) {
+  if (meters < 1000) return `${Math.round(meters)} m`;
+  return `${(meters / 1000).toFixed(1)} km`;
+}
+
+// Human readable duration, e.g. "12 mins" or "1 hour 5 mins"
+function formatDuration(seconds) {
+  const totalMinutes = Math.max(1, Math.round(seconds / 60));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  const minuteText = `${minutes} ${minutes === 1 ? 'min' : 'mins'}`;
+
+  if (hours === 0) return minuteText;
+  const hourText = `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+  return minutes === 0 ? hourText : `${hourText} ${minuteText}`;
+}
+
+// Fill in the route-level totals from its legs
+function summarizeRoute(route) {
+  route.distance = route.legs.reduce((sum, leg) => sum + leg.distance, 0);
+  route.duration = route.legs.reduce((sum, leg) => sum + leg.duration, 0);
+  route.distanceText = formatDistance(route.distance);
+  route.durationText = formatDuration(route.duration);
+  return route;
+}
+
+// Providers that split a route into one leg per waypoint get their pass-through
+// (non-stopover) legs merged back, so legs always run between actual stops
+function mergeViaLegs(legs, waypoints = []) {
+  const merged = [legs[0]];
+
+  for (let i = 1; i < legs.length; i++) {
+    const waypoint = waypoints[i - 1];
+    if (waypoint && !waypoint.stopover) {
+      const previous = merged[merged.length - 1];
+      previous.endAddress = legs[i].endAddress;
+      previous.endLocation = legs[i].endLocation;
+      previous.distance += legs[i].distance;
+      previous.duration += legs[i].duration;
+      previous.steps = previous.steps.concat(legs[i].steps);
+    } else {
+      merged.push(legs[i]);
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  REQUEST_TIMEOUT,
+  routingError,
+  providerError,
+  formatDistance,
+  formatDuration,
+  summarizeRoute,
+  mergeViaLegs
+};
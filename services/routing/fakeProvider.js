@@ -0,0 +1,209 @@
+// services/routing/fakeProvider.js - Offline routing provider backed by a local fixture file
+//
+// Fixture routes are returned when a request matches a recorded origin/destination pair
+// and travel mode (scenarios without a `mode` are driving routes).
+// Anything else gets synthesized straight-line routes, so route calculation works with
+// no network access (tests, local development).
+const fs = require('fs');
+const path = require('path');
+const { encodePolyline } = require('../../utils/polyline');
+const { haversineDistance, interpolate } = require('../../utils/geo');
+const { routingError, summarizeRoute } = require('./common');
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, '../../fixtures/routing/routes.json');
+const MATCH_RADIUS = 250; // meters between requested and recorded endpoints
+const POINT_SPACING = 100; // meters between synthesized polyline points
+
+// Average speeds in m/s used for synthesized routes
+const SPEEDS = {
+  drive: 8.3,
+  'two-wheeler': 7.0,
+  walk: 1.4,
+  transit: 6.0
+};
+const TRANSIT_WAIT = 300; // seconds spent waiting at a synthesized boarding stop
+
+let scenarios = null;
+
+function loadScenarios() {
+  if (scenarios) return scenarios;
+
+  const fixturePath = process.env.ROUTING_FIXTURE_PATH || DEFAULT_FIXTURE_PATH;
+  scenarios = fs.existsSync(fixturePath)
+    ? JSON.parse(fs.readFileSync(fixturePath, 'utf8')).scenarios || []
+    : [];
+  return scenarios;
+}
+
+function findScenario(origin, destination, mode) {
+  return loadScenarios().find(scenario =>
+    (scenario.mode || 'drive') === mode &&
+    haversineDistance(scenario.origin, origin) <= MATCH_RADIUS &&
+    haversineDistance(scenario.destination, destination) <= MATCH_RADIUS
+  );
+}
+
+// Straight line from a to b with a point roughly every POINT_SPACING meters
+function densify(a, b) {
+  const count = Math.max(1, Math.ceil(haversineDistance(a, b) / POINT_SPACING));
+  const points = [];
+  for (let i = 0; i <= count; i++) {
+    points.push(interpolate(a, b, i / count));
+  }
+  return points;
+}
+
+function synthesizeLeg(stops, speed) {
+  const start = stops[0];
+  const end = stops[stops.length - 1];
+  const points = [];
+  const steps = [];
+
+  for (let i = 1; i < stops.length; i++) {
+    const segment = densify(stops[i - 1], stops[i]);
+    const distance = haversineDistance(stops[i - 1], stops[i]);
+    points.push(...(i === 1 ? segment : segment.slice(1)));
+    steps.push({
+      instruction: i === 1 ? 'Head towards destination' : 'Continue straight',
+      distance: Math.round(distance),
+      duration: Math.round(distance / speed),
+      startLocation: stops[i - 1],
+      endLocation: stops[i]
+    });
+  }
+
+  return {
+    points,
+    leg: {
+      startAddress: `${start.lat},${start.lng}`,
+      endAddress: `${end.lat},${end.lng}`,
+      startLocation: start,
+      endLocation: end,
+      distance: steps.reduce((sum, step) => sum + step.distance, 0),
+      duration: steps.reduce((sum, step) => sum + step.duration, 0),
+      steps
+    }
+  };
+}
+
+// Split origin -> waypoints -> destination into legs at stopover waypoints
+function synthesizeRoute(origin, destination, waypoints, speed) {
+  const legs = [];
+  const points = [];
+  let stops = [origin];
+
+  [...waypoints, { ...destination, stopover: true }].forEach(point => {
+    stops.push({ lat: point.lat, lng: point.lng });
+    if (point.stopover) {
+      const result = synthesizeLeg(stops, speed);
+      points.push(...(points.length === 0 ? result.points : result.points.slice(1)));
+      legs.push(result.leg);
+      stops = [stops[stops.length - 1]];
+    }
+  });
+
+  return summarizeRoute({
+    polyline: encodePolyline(points),
+    legs
+  });
+}
+
+// A dog-leg variant through a point offset to one side of the midpoint
+function offsetMidpoint(origin, destination) {
+  const mid = interpolate(origin, destination, 0.5);
+  return {
+    lat: mid.lat - (destination.lng - origin.lng) * 0.15,
+    lng: mid.lng + (destination.lat - origin.lat) * 0.15
+  };
+}
+
+// Walk to a stop a fifth of the way along, ride to four fifths, walk the rest
+function synthesizeTransitRoute(origin, destination) {
+  const boarding = interpolate(origin, destination, 0.2);
+  const alighting = interpolate(origin, destination, 0.8);
+  const points = [
+    ...densify(origin, boarding),
+    ...densify(boarding, alighting).slice(1),
+    ...densify(alighting, destination).slice(1)
+  ];
+
+  const walkTo = haversineDistance(origin, boarding);
+  const ride = haversineDistance(boarding, alighting);
+  const walkFrom = haversineDistance(alighting, destination);
+  const steps = [{
+    instruction: 'Walk to Fake Stop A',
+    distance: Math.round(walkTo),
+    duration: Math.round(walkTo / SPEEDS.walk),
+    startLocation: origin,
+    endLocation: boarding,
+    travelMode: 'walking'
+  }, {
+    instruction: 'Bus towards Fake Stop B',
+    distance: Math.round(ride),
+    duration: Math.round(ride / SPEEDS.transit) + TRANSIT_WAIT,
+    startLocation: boarding,
+    endLocation: alighting,
+    travelMode: 'transit',
+    transit: {
+      line: 'F1',
+      vehicleType: 'BUS',
+      departureStop: { name: 'Fake Stop A', location: boarding },
+      arrivalStop: { name: 'Fake Stop B', location: alighting },
+      numStops: Math.max(1, Math.round(ride / 500)),
+      waitTime: TRANSIT_WAIT
+    }
+  }, {
+    instruction: 'Walk to destination',
+    distance: Math.round(walkFrom),
+    duration: Math.round(walkFrom / SPEEDS.walk),
+    startLocation: alighting,
+    endLocation: destination,
+    travelMode: 'walking'
+  }];
+
+  return summarizeRoute({
+    polyline: encodePolyline(points),
+    legs: [{
+      startAddress: `${origin.lat},${origin.lng}`,
+      endAddress: `${destination.lat},${destination.lng}`,
+      startLocation: origin,
+      endLocation: destination,
+      distance: steps.reduce((sum, step) => sum + step.distance, 0),
+      duration: steps.reduce((sum, step) => sum + step.duration, 0),
+      steps
+    }]
+  });
+}
+
+async function getRoutes({ origin, destination, waypoints = [], mode = 'drive', alternatives = true }) {
+  const speed = SPEEDS[mode];
+  if (!speed) {
+    throw routingError(`UNSUPPORTED_MODE: ${mode}`, 400);
+  }
+
+  if (mode === 'transit') {
+    if (waypoints.length > 0) {
+      throw routingError('WAYPOINTS_NOT_SUPPORTED_FOR_TRANSIT', 400);
+    }
+    return [synthesizeTransitRoute(origin, destination)];
+  }
+
+  if (waypoints.length === 0) {
+    const scenario = findScenario(origin, destination, mode);
+    if (scenario) {
+      const routes = scenario.routes.map(route => summarizeRoute(JSON.parse(JSON.stringify(route))));
+      return alternatives ? routes : routes.slice(0, 1);
+    }
+  }
+
+  const routes = [synthesizeRoute(origin, destination, waypoints, speed)];
+  if (alternatives && waypoints.length === 0 && haversineDistance(origin, destination) > 0) {
+    routes.push(synthesizeRoute(origin, destination, [offsetMidpoint(origin, destination)], speed));
+  }
+  return routes;
+}
+
+module.exports = {
+  name: 'fake',
+  getRoutes
+};
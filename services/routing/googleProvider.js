@@ -0,0 +1,100 @@
+// services/routing/googleProvider.js - Google Directions API adapter
+const axios = require('axios');
+const { REQUEST_TIMEOUT, routingError, providerError, summarizeRoute } = require('./common');
+
+const DIRECTIONS_URL = 'https://maps.googleapis.com/maps/api/directions/json';
+
+// Directions API statuses caused by the request; the rest (OVER_QUERY_LIMIT,
+// REQUEST_DENIED, UNKNOWN_ERROR...) are provider failures
+const BAD_REQUEST_STATUSES = ['NOT_FOUND', 'ZERO_RESULTS', 'MAX_WAYPOINTS_EXCEEDED', 'MAX_ROUTE_LENGTH_EXCEEDED', 'INVALID_REQUEST'];
+
+// Directions API parameters per travel mode; two-wheelers keep off highways
+const MODES = {
+  drive: { mode: 'driving' },
+  'two-wheeler': { mode: 'driving', avoid: 'highways' },
+  walk: { mode: 'walking' },
+  transit: { mode: 'transit' }
+};
+
+const toLatLng = (point) => `${point.lat},${point.lng}`;
+
+// Boarding details for a transit step, or undefined for walking/driving steps
+function transitDetails(step) {
+  const details = step.transit_details;
+  if (!details) return undefined;
+
+  return {
+    line: details.line.short_name || details.line.name,
+    vehicleType: details.line.vehicle && details.line.vehicle.type,
+    departureStop: {
+      name: details.departure_stop.name,
+      location: details.departure_stop.location
+    },
+    arrivalStop: {
+      name: details.arrival_stop.name,
+      location: details.arrival_stop.location
+    },
+    numStops: details.num_stops,
+    // Expected wait at the stop is half the service headway when Google knows it
+    waitTime: details.headway ? Math.round(details.headway / 2) : undefined
+  };
+}
+
+async function getRoutes({ origin, destination, waypoints = [], mode = 'drive', alternatives = true }) {
+  if (!MODES[mode]) {
+    throw routingError(`UNSUPPORTED_MODE: ${mode}`, 400);
+  }
+
+  const params = {
+    origin: toLatLng(origin),
+    destination: toLatLng(destination),
+    alternatives,
+    ...MODES[mode],
+    key: process.env.GOOGLE_MAPS_API_KEY
+  };
+
+  if (waypoints.length > 0) {
+    // Pass-through points (e.g. detour waypoints) must not split the route into extra legs
+    params.waypoints = waypoints
+      .map(point => (point.stopover ? '' : 'via:') + toLatLng(point))
+      .join('|');
+  }
+
+  let response;
+  try {
+    response = await axios.get(DIRECTIONS_URL, { params, timeout: REQUEST_TIMEOUT });
+  } catch (error) {
+    throw providerError(error);
+  }
+
+  const { status } = response.data;
+  if (status !== 'OK') {
+    throw routingError(status, BAD_REQUEST_STATUSES.includes(status) ? 400 : 502);
+  }
+
+  return response.data.routes.map(route => summarizeRoute({
+    polyline: route.overview_polyline.points,
+    legs: route.legs.map(leg => ({
+      startAddress: leg.start_address,
+      endAddress: leg.end_address,
+      startLocation: leg.start_location,
+      endLocation: leg.end_location,
+      distance: leg.distance.value,
+      duration: leg.duration.value,
+      steps: leg.steps.map(step => ({
+        instruction: step.html_instructions.replace(/<[^>]*>/g, ''),
+        distance: step.distance.value,
+        duration: step.duration.value,
+        startLocation: step.start_location,
+        endLocation: step.end_location,
+        travelMode: step.travel_mode && step.travel_mode.toLowerCase(),
+        transit: transitDetails(step)
+      }))
+    }))
+  }));
+}
+
+module.exports = {
+  name: 'google',
+  getRoutes
+};
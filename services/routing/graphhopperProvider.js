@@ -0,0 +1,99 @@
+// services/routing/graphhopperProvider.js - GraphHopper Routing API adapter
+const axios = require('axios');
+const { decodePolyline } = require('../../utils/polyline');
+const { REQUEST_TIMEOUT, routingError, providerError, summarizeRoute, mergeViaLegs } = require('./common');
+
+// GraphHopper vehicle profiles per travel mode (transit is not supported by the Routing API)
+const PROFILES = {
+  drive: 'car',
+  'two-wheeler': 'scooter',
+  walk: 'foot'
+};
+
+// Instruction signs that end a leg: 5 = via point reached, 4 = finish
+const LEG_END_SIGNS = [4, 5];
+
+async function getRoutes({ origin, destination, waypoints = [], mode = 'drive', alternatives = true }) {
+  const profile = PROFILES[mode];
+  if (!profile) {
+    throw routingError(`UNSUPPORTED_MODE: ${mode}`, 400);
+  }
+
+  const baseUrl = process.env.GRAPHHOPPER_BASE_URL || 'https://graphhopper.com/api/1';
+  const points = [origin, ...waypoints, destination];
+
+  const params = new URLSearchParams();
+  points.forEach(point => params.append('point', `${point.lat},${point.lng}`));
+  params.append('profile', profile);
+  params.append('instructions', 'true');
+  params.append('points_encoded', 'true');
+  // Alternative routes are not supported together with via points
+  if (alternatives && waypoints.length === 0) {
+    params.append('algorithm', 'alternative_route');
+  }
+  if (process.env.GRAPHHOPPER_API_KEY) {
+    params.append('key', process.env.GRAPHHOPPER_API_KEY);
+  }
+
+  let response;
+  try {
+    response = await axios.get(`${baseUrl}/route`, { params, timeout: REQUEST_TIMEOUT });
+  } catch (error) {
+    // GraphHopper answers 400 for points it cannot route between
+    if (error.response && error.response.status === 400) {
+      throw routingError(error.response.data.message || 'BAD_REQUEST', 400);
+    }
+    throw providerError(error);
+  }
+
+  if (!response.data.paths || response.data.paths.length === 0) {
+    throw routingError('ZERO_RESULTS', 400);
+  }
+
+  return response.data.paths.map(path => {
+    const pathPoints = decodePolyline(path.points);
+    const legs = [];
+    let current = null;
+
+    path.instructions.forEach(instruction => {
+      if (!current) {
+        const start = points[legs.length];
+        current = {
+          startAddress: `${start.lat},${start.lng}`,
+          startLocation: pathPoints[instruction.interval[0]],
+          distance: 0,
+          duration: 0,
+          steps: []
+        };
+      }
+
+      current.distance += instruction.distance;
+      current.duration += instruction.time / 1000;
+      current.steps.push({
+        instruction: instruction.text,
+        distance: instruction.distance,
+        duration: instruction.time / 1000,
+        startLocation: pathPoints[instruction.interval[0]],
+        endLocation: pathPoints[instruction.interval[1]]
+      });
+
+      if (LEG_END_SIGNS.includes(instruction.sign)) {
+        const end = points[legs.length + 1];
+        current.endAddress = `${end.lat},${end.lng}`;
+        current.endLocation = pathPoints[instruction.interval[1]];
+        legs.push(current);
+        current = null;
+      }
+    });
+
+    return summarizeRoute({
+      polyline: path.points,
+      legs: mergeViaLegs(legs, waypoints)
+    });
+  });
+}
+
+module.exports = {
+  name: 'graphhopper',
+  getRoutes
+};
@@ -0,0 +1,34 @@
+// services/routing/index.js - Routing provider selection
+//
+// Every provider exposes `getRoutes({ origin, destination, waypoints, mode, alternatives })`,
+// where `mode` is one of the Route travel modes (walk, two-wheeler, transit, drive), and resolves to an array of routes in one common shape:
+//   { distance, duration, distanceText, durationText, polyline, legs: [{ startAddress,
+//     endAddress, startLocation, endLocation, distance, duration, steps: [...] }] }
+// Distances are in meters, durations in seconds, polylines use precision 5 encoding.
+// Transit steps also carry `transit: { line, vehicleType, departureStop, arrivalStop,
+// numStops, waitTime }`. Providers reject modes they cannot route with a 400 error.
+const googleProvider = require('./googleProvider');
+const osrmProvider = require('./osrmProvider');
+const graphhopperProvider = require('./graphhopperProvider');
+const fakeProvider = require('./fakeProvider');
+
+const providers = {
+  google: googleProvider,
+  osrm: osrmProvider,
+  graphhopper: graphhopperProvider,
+  fake: fakeProvider
+};
+
+// Resolve a provider by name, defaulting to ROUTING_PROVIDER (or Google)
+function getRoutingProvider(name = process.env.ROUTING_PROVIDER || 'google') {
+  const provider = providers[name.toLowerCase()];
+  if (!provider) {
+    throw new Error(`Unknown routing provider: ${name}`);
+  }
+  return provider;
+}
+
+module.exports = {
+  getRoutingProvider,
+  providers
+};
@@ -0,0 +1,101 @@
+// services/routing/osrmProvider.js - OSRM (Open Source Routing Machine) adapter
+const axios = require('axios');
+const { REQUEST_TIMEOUT, routingError, providerError, summarizeRoute, mergeViaLegs } = require('./common');
+
+// OSRM profile names per travel mode (OSRM has no public transit routing)
+const PROFILES = {
+  drive: 'driving',
+  'two-wheeler': 'driving',
+  walk: 'foot'
+};
+
+// OSRM error codes caused by the request rather than the server
+const BAD_REQUEST_CODES = ['NoRoute', 'NoSegment', 'InvalidQuery', 'InvalidValue', 'TooBig'];
+
+const toLatLng = (location) => ({ lat: location[1], lng: location[0] });
+
+// Build a readable instruction from an OSRM maneuver
+function describeStep(step) {
+  const { type, modifier } = step.maneuver;
+  const road = step.name ? ` onto ${step.name}` : '';
+
+  if (type === 'depart') return `Head ${modifier || 'out'}${road}`;
+  if (type === 'arrive') return 'Arrive at destination';
+  if (type === 'roundabout' || type === 'rotary') return `Take the roundabout${road}`;
+  if (modifier) return `${type === 'turn' ? 'Turn' : 'Continue'} ${modifier}${road}`;
+  return `Continue${road}`;
+}
+
+async function getRoutes({ origin, destination, waypoints = [], mode = 'drive', alternatives = true }) {
+  const profile = PROFILES[mode];
+  if (!profile) {
+    throw routingError(`UNSUPPORTED_MODE: ${mode}`, 400);
+  }
+
+  const baseUrl = process.env.OSRM_BASE_URL || 'https://router.project-osrm.org';
+  const points = [origin, ...waypoints, destination];
+  const coordinates = points.map(point => `${point.lng},${point.lat}`).join(';');
+
+  let response;
+  try {
+    response = await axios.get(`${baseUrl}/route/v1/${profile}/${coordinates}`, {
+      params: {
+        // OSRM only computes alternatives for plain origin/destination requests
+        alternatives: alternatives && waypoints.length === 0,
+        steps: true,
+        overview: 'full',
+        geometries: 'polyline'
+      },
+      timeout: REQUEST_TIMEOUT
+    });
+  } catch (error) {
+    // OSRM answers errors with an HTTP error status and a code in the body
+    const code = error.response && error.response.data && error.response.data.code;
+    if (!code) throw providerError(error);
+    response = error.response;
+  }
+
+  const { code } = response.data;
+  if (code !== 'Ok') {
+    throw routingError(code, BAD_REQUEST_CODES.includes(code) ? 400 : 502);
+  }
+
+  const names = response.data.waypoints.map(waypoint => waypoint.name);
+
+  return response.data.routes.map(route => {
+    const legs = route.legs.map((leg, legIndex) => {
+      const steps = leg.steps.map((step, stepIndex) => {
+        const next = leg.steps[stepIndex + 1];
+        return {
+          instruction: describeStep(step),
+          distance: step.distance,
+          duration: step.duration,
+          startLocation: toLatLng(step.maneuver.location),
+          endLocation: toLatLng(next ? next.maneuver.location : step.maneuver.location)
+        };
+      });
+
+      const start = points[legIndex];
+      const end = points[legIndex + 1];
+      return {
+        startAddress: names[legIndex] || `${start.lat},${start.lng}`,
+        endAddress: names[legIndex + 1] || `${end.lat},${end.lng}`,
+        startLocation: steps.length > 0 ? steps[0].startLocation : start,
+        endLocation: steps.length > 0 ? steps[steps.length - 1].endLocation : end,
+        distance: leg.distance,
+        duration: leg.duration,
+        steps
+      };
+    });
+
+    return summarizeRoute({
+      polyline: route.geometry,
+      legs: mergeViaLegs(legs, waypoints)
+    });
+  });
+}
+
+module.exports = {
+  name: 'osrm',
+  getRoutes
+};
@@ -0,0 +1,216 @@
+// services/safeHavens.js - Safe havens along routes, their factor boost and imports
+//
+// Safe havens are places to head for when a trip feels unsafe: police stations,
+// hospitals, 24-hour shops, metro stations and verified women's help desks. They are
+// kept in a local collection (models/SafeHaven.js), filled by imports and curated by admins.
+const SafeHaven = require('../models/SafeHaven');
+const { parseCsv } = require('./geodata/importer');
+const { cumulativeDistances } = require('./routeSegments');
+const { distanceToPath, nearestPointIndex } = require('../utils/geo');
+const { parseOpeningHours, isOpenAt } = require('../utils/openingHours');
+
+const SAFE_HAVEN_CORRIDOR = 300; // meters either side of the route
+
+// Open places that raise a factor, and how much per place per km
+const FACTOR_BOOSTS = {
+  policePresence: { categories: ['police-station', 'help-desk'], perKm: 1.5 },
+  pedestrianTraffic: { categories: ['24h-shop', 'metro-station'], perKm: 0.5 }
+};
+
+// OpenStreetMap tags that identify a category when an import does not name one
+const OSM_CATEGORIES = [
+  { category: 'police-station', match: (p) => p.amenity === 'police' },
+  { category: 'hospital', match: (p) => p.amenity === 'hospital' },
+  { category: 'metro-station', match: (p) => p.station === 'subway' || p.subway === 'yes' },
+  { category: '24h-shop', match: (p) => Boolean(p.shop) && p.opening_hours === '24/7' }
+];
+
+const LAT_COLUMNS = ['lat', 'latitude', 'y'];
+const LNG_COLUMNS = ['lng', 'lon', 'long', 'longitude', 'x'];
+
+const toLatLng = ([lng, lat]) => ({ lat, lng });
+
+function importError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Safe havens within SAFE_HAVEN_CORRIDOR of a route, in the order the route passes them
+async function findSafeHavensAlong(routePoints) {
+  const candidates = await SafeHaven.findAlongRoute(routePoints, SAFE_HAVEN_CORRIDOR);
+  const distances = cumulativeDistances(routePoints);
+
+  return candidates
+    .map(haven => {
+      const location = toLatLng(haven.location.coordinates);
+      return {
+        havenId: haven._id,
+        name: haven.name,
+        category: haven.category,
+        address: haven.address,
+        phone: haven.phone,
+        location,
+        verified: haven.verified,
+        openingHours: haven.openingHours && haven.openingHours.text
+          ? {
+            alwaysOpen: haven.openingHours.alwaysOpen,
+            periods: haven.openingHours.periods.map(({ day, open, close }) => ({ day, open, close })),
+            offDays: [...haven.openingHours.offDays],
+            text: haven.openingHours.text
+          }
+          : undefined,
+        distanceFromRoute: Math.round(distanceToPath(location, routePoints)),
+        distanceFromStart: Math.round(distances[nearestPointIndex(routePoints, location)] || 0)
+      };
+    })
+    .filter(haven => haven.distanceFromRoute <= SAFE_HAVEN_CORRIDOR)
+    .sort((a, b) => a.distanceFromStart - b.distanceFromStart);
+}
+
+// Add when each haven is passed and whether it is open then (null when its hours are
+// unknown). Pass times assume an even pace over the route's `distance` and `duration`;
+// opening hours are read in the trip's `timeZone`.
+function withOpenStatus(havens, { departAt, distance, duration, timeZone }) {
+  const start = new Date(departAt).getTime();
+
+  return havens.map(haven => {
+    const share = distance > 0 ? Math.min(haven.distanceFromStart / distance, 1) : 0;
+    const passAt = new Date(start + (duration || 0) * share * 1000);
+    return { ...haven, passAt, isOpen: isOpenAt(haven.openingHours, passAt, timeZone) };
+  });
+}
+
+// Factor increases from havens that are open when passed. Police stations already
+// counted from the geodata police layer are left out with `policeMeasured`.
+function safeHavenFactors(havens, { km, policeMeasured = false }) {
+  const increases = {};
+
+  Object.entries(FACTOR_BOOSTS).forEach(([factor, { categories, perKm }]) => {
+    const count = havens.filter(haven =>
+      haven.isOpen !== false &&
+      categories.includes(haven.category) &&
+      !(policeMeasured && haven.category === 'police-station')
+    ).length;
+    if (count > 0) increases[factor] = count / Math.max(km, 0.1) * perKm;
+  });
+
+  return increases;
+}
+
+// Category of an imported place: the import's, the row's own, or from OSM tags
+function categoryOf(properties, category) {
+  const categories = SafeHaven.schema.path('category').enumValues;
+  if (category) return category;
+  if (categories.includes(properties.category)) return properties.category;
+
+  const osm = OSM_CATEGORIES.find(entry => entry.match(properties));
+  return osm ? osm.category : null;
+}
+
+function buildHaven(properties, coordinates, { source, category }) {
+  const resolvedCategory = categoryOf(properties, category);
+  if (!resolvedCategory || !properties.name) return null;
+
+  const hoursText = properties.opening_hours || properties.openingHours;
+  const street = [properties['addr:housenumber'], properties['addr:street']].filter(Boolean).join(' ');
+
+  return {
+    name: properties.name,
+    category: resolvedCategory,
+    location: { type: 'Point', coordinates },
+    address: properties.address || properties['addr:full'] || street || undefined,
+    phone: properties.phone || properties['contact:phone'],
+    openingHours: parseOpeningHours(hoursText) || undefined,
+    source,
+    sourceId: properties.id !== undefined ? String(properties.id) : properties['@id']
+  };
+}
+
+function havensFromGeoJson(data, options) {
+  const collection = typeof data === 'string' ? JSON.parse(data) : data;
+  const features = collection.type === 'FeatureCollection' ? collection.features : [collection];
+
+  const docs = [];
+  let skipped = 0;
+  features.forEach(feature => {
+    const geometry = feature.geometry;
+    const valid = geometry && geometry.type === 'Point' &&
+      Array.isArray(geometry.coordinates) && geometry.coordinates.every(Number.isFinite);
+    const doc = valid && buildHaven({ id: feature.id, ...feature.properties }, geometry.coordinates, options);
+    if (doc) docs.push(doc);
+    else skipped++;
+  });
+  return { docs, skipped };
+}
+
+function havensFromCsv(text, options) {
+  const docs = [];
+  let skipped = 0;
+  parseCsv(text).forEach(row => {
+    const latKey = Object.keys(row).find(key => LAT_COLUMNS.includes(key.toLowerCase()));
+    const lngKey = Object.keys(row).find(key => LNG_COLUMNS.includes(key.toLowerCase()));
+    const coordinates = [parseFloat(row[lngKey]), parseFloat(row[latKey])];
+    const doc = latKey && lngKey && coordinates.every(Number.isFinite) && buildHaven(row, coordinates, options);
+    if (doc) docs.push(doc);
+    else skipped++;
+  });
+  return { docs, skipped };
+}
+
+// Import safe havens from GeoJSON points or CSV rows. Rows need a name and a category
+// (the `category` option, a category column, or recognisable OSM tags). With `replace`,
+// places previously imported from the same source are removed first; places an admin
+// has edited are kept and not imported again.
+async function importSafeHavens({ format = 'geojson', data, source, category, replace = false }) {
+  const categories = SafeHaven.schema.path('category').enumValues;
+  if (category && !categories.includes(category)) {
+    throw importError(`Category must be one of: ${categories.join(', ')}`);
+  }
+  if (!source) {
+    throw importError('Source is required');
+  }
+  if (!data) {
+    throw importError('Dataset is empty');
+  }
+
+  let parsed;
+  try {
+    parsed = format === 'csv'
+      ? havensFromCsv(String(data), { source, category })
+      : havensFromGeoJson(data, { source, category });
+  } catch (error) {
+    throw importError(`Could not parse ${format} dataset: ${error.message}`);
+  }
+
+  let replaced = 0;
+  let docs = parsed.docs;
+  if (replace) {
+    const result = await SafeHaven.deleteMany({ source, curatedAt: { $exists: false } });
+    replaced = result.deletedCount;
+
+    const curated = await SafeHaven.find({ source, curatedAt: { $exists: true } }).select('sourceId');
+    const curatedIds = new Set(curated.map(haven => haven.sourceId).filter(Boolean));
+    docs = docs.filter(doc => !doc.sourceId || !curatedIds.has(doc.sourceId));
+  }
+
+  if (docs.length > 0) {
+    await SafeHaven.insertMany(docs, { ordered: false });
+  }
+
+  return {
+    source,
+    imported: docs.length,
+    skipped: parsed.skipped,
+    kept: parsed.docs.length - docs.length,
+    replaced
+  };
+}
+
+module.exports = {
+  SAFE_HAVEN_CORRIDOR,
+  findSafeHavensAlong,
+  withOpenStatus,
+  safeHavenFactors,
+  importSafeHavens
+};
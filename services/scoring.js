@@ -0,0 +1,147 @@
+// services/scoring.js - Shared safety factor weights and scoring
+//
+// Final factor weights are the travel mode's base weights scaled by the user's
+// importance for each factor (0-5, 1 = neutral) and renormalized to sum to 1.
+// Importances come from a named preset, optionally overridden per factor.
+
+const FACTORS = [
+  'lighting',
+  'policePresence',
+  'crimeRate',
+  'pedestrianTraffic',
+  'roadCondition',
+  'communityReports'
+];
+
+// Base weights per travel mode: on foot or waiting at a stop, lighting and
+// people around matter most; on a two-wheeler, the road surface does
+const MODE_WEIGHTS = {
+  walk: {
+    lighting: 0.25,
+    policePresence: 0.15,
+    crimeRate: 0.25,
+    pedestrianTraffic: 0.20,
+    roadCondition: 0.05,
+    communityReports: 0.10
+  },
+  'two-wheeler': {
+    lighting: 0.20,
+    policePresence: 0.15,
+    crimeRate: 0.20,
+    pedestrianTraffic: 0.10,
+    roadCondition: 0.25,
+    communityReports: 0.10
+  },
+  transit: {
+    lighting: 0.20,
+    policePresence: 0.20,
+    crimeRate: 0.25,
+    pedestrianTraffic: 0.20,
+    roadCondition: 0.05,
+    communityReports: 0.10
+  },
+  drive: {
+    lighting: 0.20,
+    policePresence: 0.20,
+    crimeRate: 0.25,
+    pedestrianTraffic: 0.15,
+    roadCondition: 0.10,
+    communityReports: 0.10
+  }
+};
+
+// Named presets: factor importances plus how much 'balanced' ordering favours
+// safety over speed (0-1)
+const PRESETS = {
+  default: {
+    label: 'Balanced',
+    importance: {},
+    balance: 0.6
+  },
+  'well-lit': {
+    label: 'Well-lit streets first',
+    importance: { lighting: 3, pedestrianTraffic: 2 },
+    balance: 0.7
+  },
+  crowded: {
+    label: 'Busy, populated streets',
+    importance: { pedestrianTraffic: 3, lighting: 1.5 },
+    balance: 0.7
+  },
+  'avoid-incidents': {
+    label: 'Avoid reported incidents',
+    importance: { crimeRate: 2, communityReports: 3 },
+    balance: 0.8
+  },
+  'police-nearby': {
+    label: 'Stay near police',
+    importance: { policePresence: 3 },
+    balance: 0.7
+  },
+  quickest: {
+    label: 'Quickest reasonable route',
+    importance: {},
+    balance: 0.4
+  }
+};
+
+const DEFAULT_BALANCE = PRESETS.default.balance;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Resolve a user's safety profile ({ preset, importance, balance }) for a travel mode
+// into normalized factor weights and the balanced-ordering safety share
+function resolveProfile(profile, travelMode = 'drive') {
+  profile = profile || {};
+  const preset = PRESETS[profile.preset] || PRESETS.default;
+  const base = MODE_WEIGHTS[travelMode] || MODE_WEIGHTS.drive;
+  const overrides = profile.importance || {};
+
+  const raw = {};
+  FACTORS.forEach(factor => {
+    const importance = overrides[factor] ?? preset.importance[factor] ?? 1;
+    raw[factor] = base[factor] * Math.max(0, importance);
+  });
+
+  // An all-zero profile falls back to the mode's weights
+  const total = FACTORS.reduce((sum, factor) => sum + raw[factor], 0);
+  const weights = {};
+  FACTORS.forEach(factor => {
+    weights[factor] = total > 0 ? round(raw[factor] / total, 3) : base[factor];
+  });
+
+  return {
+    preset: PRESETS[profile.preset] ? profile.preset : 'default',
+    weights,
+    balance: profile.balance ?? preset.balance ?? DEFAULT_BALANCE
+  };
+}
+
+// Weighted overall score (0-10, one decimal) from factor values
+function scoreFactors(factors, weights) {
+  let score = 0;
+  for (const [factor, weight] of Object.entries(weights)) {
+    score += factors[factor] * weight;
+  }
+  return round(score);
+}
+
+// Stable short key for a set of weights, used to separate cached calculations
+function weightsKey(weights) {
+  return FACTORS.map(factor => Math.round(weights[factor] * 1000)).join('-');
+}
+
+// Ordering value for 'balanced' route preference: safety vs. speed by the profile's balance
+function balancedScore(safetyScore, durationSeconds, balance = DEFAULT_BALANCE) {
+  return safetyScore * balance + (1 / durationSeconds) * 10000 * (1 - balance);
+}
+
+module.exports = {
+  FACTORS,
+  MODE_WEIGHTS,
+  PRESETS,
+  resolveProfile,
+  scoreFactors,
+  weightsKey,
+  balancedScore
+};
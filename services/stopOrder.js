@@ -0,0 +1,49 @@
+// services/stopOrder.js - Visiting order for the intermediate stops of a trip
+const { haversineDistance } = require('../utils/geo');
+
+const MAX_STOPS = 8; // every order is tried, so keep this small (8! = 40320)
+
+// Every ordering of [0..count-1]
+function permutations(count) {
+  if (count <= 1) return [[...Array(count).keys()]];
+
+  const result = [];
+  permutations(count - 1).forEach(order => {
+    for (let i = 0; i <= order.length; i++) {
+      result.push([...order.slice(0, i), count - 1, ...order.slice(i)]);
+    }
+  });
+  return result;
+}
+
+// Order the stops between origin and destination to shorten the trip. Straight-line
+// distance stands in for road distance, which avoids a provider call per ordering.
+// Returns the stop indices in visiting order.
+function optimizeStopOrder(origin, stops, destination) {
+  if (stops.length < 2) return stops.map((stop, index) => index);
+
+  // Distances between every pair of points, origin first and destination last
+  const points = [origin, ...stops, destination];
+  const distances = points.map(a => points.map(b => haversineDistance(a, b)));
+  const last = points.length - 1;
+
+  let best = null;
+  let bestLength = Infinity;
+  permutations(stops.length).forEach(order => {
+    let length = distances[0][order[0] + 1] + distances[order[order.length - 1] + 1][last];
+    for (let i = 1; i < order.length && length < bestLength; i++) {
+      length += distances[order[i - 1] + 1][order[i] + 1];
+    }
+    if (length < bestLength) {
+      best = order;
+      bestLength = length;
+    }
+  });
+
+  return best;
+}
+
+module.exports = {
+  MAX_STOPS,
+  optimizeStopOrder
+};
@@ -0,0 +1,33 @@
+// services/storage/index.js - File storage selection
+//
+// Stores expose put(key, buffer, { contentType }), get(key) resolving to a Buffer or
+// null when there is no such file, and remove(keys). Keys are "/"-separated paths.
+const { createLocalStore } = require('./localStore');
+
+const backends = {
+  local: createLocalStore
+};
+
+let store = null;
+
+// Get the shared store, picked by STORAGE_BACKEND (local)
+function getFileStore() {
+  if (store) return store;
+
+  const backend = (process.env.STORAGE_BACKEND || 'local').toLowerCase();
+  if (!backends[backend]) {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+  store = backends[backend]();
+  return store;
+}
+
+// Swap the shared store (tests)
+function setFileStore(newStore) {
+  store = newStore;
+}
+
+module.exports = {
+  getFileStore,
+  setFileStore
+};
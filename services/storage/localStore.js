@@ -0,0 +1,49 @@
+// services/storage/localStore.js - File storage on the local disk (default)
+const fs = require('fs/promises');
+const path = require('path');
+
+// Create a store keeping files under `root`; keys are relative paths like "reports/<id>/<file>"
+function createLocalStore(root = process.env.UPLOAD_DIR || './uploads') {
+  const base = path.resolve(root);
+
+  // Keys come from our own ids, but never let one point outside the upload directory
+  const pathFor = (key) => {
+    const filePath = path.resolve(base, key);
+    if (!filePath.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = pathFor(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(pathFor(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(keys) {
+      const filePaths = keys.map(pathFor);
+      await Promise.all(filePaths.map(filePath => fs.rm(filePath, { force: true })));
+
+      // Drop directories left empty, such as a deleted report's
+      const directories = [...new Set(filePaths.map(filePath => path.dirname(filePath)))];
+      await Promise.all(directories.map(directory => fs.rmdir(directory).catch(() => {})));
+    }
+  };
+}
+
+module.exports = {
+  createLocalStore
+};
@@ -0,0 +1,153 @@
+// services/tripMonitor.js - Overdue and stationary checks for trips in progress
+//
+// Each active trip stores when it next needs checking (safetyCheck.nextCheckAt), so
+// the schedule lives in MongoDB rather than in timers: after a restart the monitor
+// simply picks up every check that fell due while it was down. A trip is claimed with
+// a short lease before it is processed, so several server instances never alert twice.
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const Route = require('../models/Route');
+const { sendEmergencyAlert } = require('./emergency');
+
+const CHECK_INTERVAL = parseInt(process.env.TRIP_MONITOR_INTERVAL || '30') * 1000; // ms
+const CLAIM_LEASE = 2 * 60 * 1000; // a claimed trip is retried after this if processing dies
+
+// Claim the next trip whose check is due, pushing its check past the lease
+function claimDueTrip(now) {
+  return Trip.findOneAndUpdate(
+    { status: 'active', 'safetyCheck.nextCheckAt': { $lte: now } },
+    { 'safetyCheck.nextCheckAt': new Date(now.getTime() + CLAIM_LEASE) },
+    { new: true }
+  );
+}
+
+// Where to tell contacts to look: the last position reported, or the trip's start
+async function lastKnownLocation(trip) {
+  if (trip.lastPing && trip.lastPing.location && trip.lastPing.location.lat !== undefined) {
+    return { lat: trip.lastPing.location.lat, lng: trip.lastPing.location.lng };
+  }
+
+  const route = await Route.findById(trip.route).select('origin');
+  if (!route) return { address: 'Location not available' };
+
+  const { lat, lng } = route.origin.coordinates;
+  return { lat, lng, address: route.origin.address };
+}
+
+// Write the safety check as changed in memory, but only while the trip is as it was
+// claimed: a ping, /safe, /arrive or /abandon that landed in the meantime wins, and the
+// monitor's change is dropped. Resolves to the updated trip, or null when it lost.
+function commitSafetyCheck(trip, fromStatus) {
+  return Trip.findOneAndUpdate(
+    { _id: trip._id, status: 'active', 'safetyCheck.status': fromStatus, updatedAt: trip.updatedAt },
+    { $set: { safetyCheck: trip.toObject().safetyCheck } },
+    { new: true }
+  );
+}
+
+// Alert the user's emergency contacts that the user has not confirmed they are safe.
+// The trip is marked escalated first, so a confirmation or arrival in the meantime
+// stops the alert; if sending fails the mark is undone and a later run retries.
+async function escalate(io, trip, now) {
+  trip.safetyCheck.status = 'escalated';
+  trip.safetyCheck.escalatedAt = now;
+  trip.scheduleSafetyCheck();
+
+  const escalated = await commitSafetyCheck(trip, 'awaiting-confirmation');
+  if (!escalated) return;
+
+  try {
+    const user = await User.findById(trip.userId);
+    if (!user) return;
+
+    const reason = trip.safetyCheck.reason === 'overdue'
+      ? 'has not arrived at their destination'
+      : 'has stopped moving during their trip';
+
+    // Only the contacts hear of it: the user did not ask for help, so their location is
+    // not broadcast to everyone connected
+    await sendEmergencyAlert(io, user, {
+      type: 'trip-overdue',
+      location: await lastKnownLocation(trip),
+      message: `${user.firstName} ${reason} and did not confirm they are safe`,
+      broadcast: false
+    });
+  } catch (error) {
+    escalated.safetyCheck.status = 'awaiting-confirmation';
+    escalated.safetyCheck.escalatedAt = undefined;
+    escalated.scheduleSafetyCheck();
+    await commitSafetyCheck(escalated, 'escalated');
+    throw error;
+  }
+
+  if (io) io.to(`user:${trip.userId}`).emit('trip-escalated', { tripId: trip._id, reason: trip.safetyCheck.reason });
+}
+
+// Prompt, escalate or just reschedule a claimed trip
+async function processTrip(io, trip, now) {
+  const fromStatus = trip.safetyCheck.status;
+  if (fromStatus === 'awaiting-confirmation' && now >= trip.safetyCheck.respondBy) {
+    return escalate(io, trip, now);
+  }
+
+  const reason = trip.getSafetyCheckReason(now);
+  if (reason) {
+    trip.promptSafetyCheck(reason, now);
+  } else {
+    trip.scheduleSafetyCheck();
+  }
+
+  const updated = await commitSafetyCheck(trip, fromStatus);
+  if (updated && reason && io) {
+    io.to(`user:${trip.userId}`).emit('trip-safety-check', {
+      tripId: trip._id,
+      reason,
+      respondBy: trip.safetyCheck.respondBy
+    });
+  }
+}
+
+// Process every trip whose check is due. Resolves to the number processed.
+async function runDueChecks(io, now = new Date()) {
+  let processed = 0;
+  let trip;
+
+  while ((trip = await claimDueTrip(now))) {
+    try {
+      await processTrip(io, trip, now);
+    } catch (error) {
+      // The lease expires and the trip is retried on a later run
+      console.error(`Trip safety check failed for ${trip._id}:`, error.message);
+    }
+    processed++;
+  }
+
+  return processed;
+}
+
+// Run due checks now (catching up after a restart) and then every CHECK_INTERVAL.
+// Returns a function that stops the monitor.
+function startTripMonitor(io) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueChecks(io);
+    } catch (error) {
+      console.error('Trip monitor error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, CHECK_INTERVAL);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  runDueChecks,
+  startTripMonitor
+};
@@ -0,0 +1,28 @@
+// services/userSocket.js - Per-user WebSocket room
+//
+// A client authenticates with its JWT, in the handshake (`auth: { token }`) or later
+// with 'authenticate' { token }, and joins room `user:<userId>` for the rest of the
+// connection. Trip safety checks and escalations are sent there, so a trip reporting
+// its position over HTTP still gets asked whether the user is safe.
+const jwt = require('jsonwebtoken');
+
+function registerUserHandlers(socket) {
+  const authenticate = (token) => {
+    try {
+      const { userId } = jwt.verify(token, process.env.JWT_SECRET);
+      socket.join(`user:${userId}`);
+      socket.emit('authenticated', { userId });
+    } catch (error) {
+      socket.emit('authentication-error', { error: 'Invalid or expired token' });
+    }
+  };
+
+  const handshakeToken = socket.handshake && socket.handshake.auth && socket.handshake.auth.token;
+  if (handshakeToken) authenticate(handshakeToken);
+
+  socket.on('authenticate', (payload) => authenticate(payload && payload.token));
+}
+
+module.exports = {
+  registerUserHandlers
+};
@@ -0,0 +1,50 @@
+// services/weather/common.js - Helpers shared by the weather provider adapters
+
+const CONDITIONS = [
+  'clear',
+  'clouds',
+  'drizzle',
+  'rain',
+  'heavy-rain',
+  'thunderstorm',
+  'mist',
+  'haze',
+  'fog'
+];
+
+// Visibility class from the distance one can see, in meters
+function visibilityClass(meters) {
+  if (meters === undefined || meters === null) return undefined;
+  if (meters >= 5000) return 'good';
+  if (meters >= 1000) return 'moderate';
+  return 'poor';
+}
+
+// Typical visibility when a provider reports none
+const CONDITION_VISIBILITY = {
+  'heavy-rain': 800,
+  thunderstorm: 1000,
+  rain: 3000,
+  fog: 200,
+  mist: 2000,
+  haze: 3000
+};
+
+// Complete a provider's conditions with the visibility class
+function normalizeConditions({ condition, temperature, visibilityMeters, precipitation = 0, observedAt }) {
+  const meters = visibilityMeters !== undefined ? visibilityMeters : (CONDITION_VISIBILITY[condition] || 10000);
+  return {
+    condition,
+    temperature: temperature !== undefined ? Math.round(temperature * 10) / 10 : undefined,
+    visibility: visibilityClass(meters),
+    visibilityMeters: meters,
+    precipitation: Math.round(precipitation * 10) / 10,
+    observedAt: observedAt ? new Date(observedAt) : undefined
+  };
+}
+
+module.exports = {
+  CONDITIONS,
+  visibilityClass,
+  normalizeConditions
+};
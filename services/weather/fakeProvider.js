@@ -0,0 +1,54 @@
+// services/weather/fakeProvider.js - Offline weather provider backed by a local fixture file
+//
+// The fixture lists scenarios, each with optional `months` (1-12), `hours` (0-23), a
+// `center` and `radius` (meters) they apply to, and the `conditions` to report. The
+// first scenario matching the place and time wins; otherwise the fixture's `default`.
+// WEATHER_FIXTURE_SCENARIO forces one scenario by name (e.g. to try a monsoon evening).
+const fs = require('fs');
+const path = require('path');
+const { haversineDistance } = require('../../utils/geo');
+const { localTime } = require('../../utils/timeZone');
+const { normalizeConditions } = require('./common');
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, '../../fixtures/weather/conditions.json');
+
+let fixture = null;
+
+function loadFixture() {
+  if (fixture) return fixture;
+
+  const fixturePath = process.env.WEATHER_FIXTURE_PATH || DEFAULT_FIXTURE_PATH;
+  fixture = fs.existsSync(fixturePath)
+    ? JSON.parse(fs.readFileSync(fixturePath, 'utf8'))
+    : {};
+  fixture.scenarios = fixture.scenarios || [];
+  return fixture;
+}
+
+// Months and hours are local time in DEFAULT_TIME_ZONE
+function matches(scenario, location, time) {
+  const { month, hour } = localTime(time);
+  if (scenario.months && !scenario.months.includes(month)) return false;
+  if (scenario.hours && !scenario.hours.includes(hour)) return false;
+  if (scenario.center && haversineDistance(scenario.center, location) > (scenario.radius || 0)) return false;
+  return true;
+}
+
+async function getConditions(location, at = new Date()) {
+  const { scenarios, default: fallback } = loadFixture();
+  const time = new Date(at);
+
+  const forced = process.env.WEATHER_FIXTURE_SCENARIO;
+  const scenario = forced
+    ? scenarios.find(s => s.name === forced)
+    : scenarios.find(s => matches(s, location, time));
+  const conditions = scenario ? scenario.conditions : fallback;
+  if (!conditions) return null;
+
+  return normalizeConditions({ ...conditions, observedAt: time });
+}
+
+module.exports = {
+  name: 'fake',
+  getConditions
+};
@@ -0,0 +1,28 @@
+// services/weather/index.js - Weather provider selection
+//
+// Every provider exposes `getConditions({ lat, lng }, at)`, resolving to the expected
+// conditions at that place and time, or null when the provider has no data for it:
+//   { condition, temperature, visibility, visibilityMeters, precipitation, observedAt }
+// `condition` is one of CONDITIONS (services/weather/common.js), temperatures are in °C,
+// precipitation in mm per hour, and `visibility` is 'good', 'moderate' or 'poor'.
+const openWeatherProvider = require('./openWeatherProvider');
+const fakeProvider = require('./fakeProvider');
+
+const providers = {
+  openweather: openWeatherProvider,
+  fake: fakeProvider
+};
+
+// Resolve a provider by name, defaulting to WEATHER_PROVIDER (or OpenWeather)
+function getWeatherProvider(name = process.env.WEATHER_PROVIDER || 'openweather') {
+  const provider = providers[name.toLowerCase()];
+  if (!provider) {
+    throw new Error(`Unknown weather provider: ${name}`);
+  }
+  return provider;
+}
+
+module.exports = {
+  getWeatherProvider,
+  providers
+};
@@ -0,0 +1,72 @@
+// services/weather/openWeatherProvider.js - OpenWeather current weather and 5-day forecast adapter
+const axios = require('axios');
+const { normalizeConditions } = require('./common');
+
+const BASE_URL = 'https://api.openweathermap.org/data/2.5';
+const CURRENT_WINDOW = 90 * 60 * 1000; // departures this close to now use current weather
+const FORECAST_STEP = 3 * 60 * 60 * 1000; // the forecast has one entry every 3 hours
+const REQUEST_TIMEOUT = 5000; // weather is optional; do not hold up route calculation
+
+const HEAVY_RAIN_CODES = [502, 503, 504, 522];
+
+// OpenWeather condition codes (https://openweathermap.org/weather-conditions) to CONDITIONS
+function conditionFor(code) {
+  if (code >= 200 && code < 300) return 'thunderstorm';
+  if (code >= 300 && code < 400) return 'drizzle';
+  if (HEAVY_RAIN_CODES.includes(code)) return 'heavy-rain';
+  if (code >= 500 && code < 700) return 'rain'; // snow is treated as rain
+  if (code === 701) return 'mist';
+  if (code === 741) return 'fog';
+  if (code === 771) return 'rain';
+  if (code === 781) return 'thunderstorm';
+  if (code >= 700 && code < 800) return 'haze'; // smoke, dust, sand, ash
+  if (code === 800) return 'clear';
+  return 'clouds';
+}
+
+function toConditions(entry, precipitation) {
+  return normalizeConditions({
+    condition: conditionFor(entry.weather[0].id),
+    temperature: entry.main.temp,
+    visibilityMeters: entry.visibility,
+    precipitation,
+    observedAt: entry.dt * 1000
+  });
+}
+
+async function request(path, location) {
+  const response = await axios.get(`${BASE_URL}${path}`, {
+    params: {
+      lat: location.lat,
+      lon: location.lng,
+      units: 'metric',
+      appid: process.env.OPENWEATHER_API_KEY
+    },
+    timeout: REQUEST_TIMEOUT
+  });
+  return response.data;
+}
+
+async function getConditions(location, at = new Date()) {
+  const time = new Date(at).getTime();
+  const now = Date.now();
+
+  if (Math.abs(time - now) <= CURRENT_WINDOW) {
+    const current = await request('/weather', location);
+    return toConditions(current, current.rain ? current.rain['1h'] || 0 : 0);
+  }
+  if (time < now) return null;
+
+  // Nearest forecast entry; none when the departure is beyond the forecast
+  const forecast = await request('/forecast', location);
+  const entry = forecast.list.reduce((best, candidate) =>
+    !best || Math.abs(candidate.dt * 1000 - time) < Math.abs(best.dt * 1000 - time) ? candidate : best, null);
+  if (!entry || Math.abs(entry.dt * 1000 - time) > FORECAST_STEP) return null;
+
+  return toConditions(entry, entry.rain ? (entry.rain['3h'] || 0) / 3 : 0);
+}
+
+module.exports = {
+  name: 'openweather',
+  getConditions
+};
@@ -0,0 +1,123 @@
+// services/weatherScoring.js - Weather and waterlogging adjustments for route scoring
+//
+// Conditions at the route's midpoint for the departure time change the factors: rain
+// empties the streets and makes surfaces worse, and poor visibility counts against
+// lighting (how well one sees and is seen). While it is raining, segments passing
+// spots from the 'waterlogging' geodata layer are flagged and score lower.
+const GeoFeature = require('../models/GeoFeature');
+const { getWeatherProvider } = require('./weather');
+const { getCacheStore } = require('./cache');
+const { gridCell, distanceToPath, corridorFilter } = require('../utils/geo');
+
+const CELL_SIZE = 0.1; // degrees, ~11 km: one lookup covers a whole district
+const CACHE_TTL = 600; // seconds
+const WATERLOGGING_RADIUS = 75; // meters from a waterlogging spot that a segment is affected
+const WATERLOGGED_SEGMENT_PENALTY = 2; // points off a flagged segment's score
+const WATERLOGGED_ROUTE_PENALTY = 3; // roadCondition points off for a fully flagged route
+const WET_CONDITIONS = ['rain', 'heavy-rain', 'thunderstorm'];
+
+// Factor changes per condition
+const CONDITION_EFFECTS = {
+  drizzle: { pedestrianTraffic: -1 },
+  rain: { pedestrianTraffic: -2, roadCondition: -1 },
+  'heavy-rain': { pedestrianTraffic: -4, roadCondition: -2 },
+  thunderstorm: { pedestrianTraffic: -4, roadCondition: -2 },
+  fog: { pedestrianTraffic: -1 }
+};
+
+const VISIBILITY_EFFECTS = {
+  moderate: { lighting: -1 },
+  poor: { lighting: -3 }
+};
+
+// Wet roads matter more on two wheels; transit riders are mostly off the street
+const MODE_MULTIPLIERS = {
+  'two-wheeler': { roadCondition: 1.5 },
+  transit: { pedestrianTraffic: 0.5 }
+};
+
+const toLatLng = ([lng, lat]) => ({ lat, lng });
+const isWet = (weather) => Boolean(weather) && WET_CONDITIONS.includes(weather.condition);
+
+// Conditions for a route at departure, or null when unavailable. Lookups are cached per
+// district and hour, and a failing provider never fails the route calculation.
+async function loadWeather(routePoints, departAt) {
+  if (routePoints.length === 0) return null;
+
+  const provider = getWeatherProvider();
+  const midpoint = routePoints[Math.floor(routePoints.length / 2)];
+  const hour = new Date(departAt).toISOString().slice(0, 13);
+  const key = `weather:${provider.name}:${gridCell(midpoint, CELL_SIZE).join(':')}:${hour}`;
+
+  try {
+    const store = getCacheStore();
+    const cached = await store.get(key);
+    if (cached) return cached.conditions;
+
+    const conditions = await provider.getConditions(midpoint, departAt);
+    await store.set(key, { conditions }, CACHE_TTL);
+    return conditions;
+  } catch (error) {
+    console.error('Weather lookup error:', error.message);
+    return null;
+  }
+}
+
+// Factor changes ({ factor: delta }) for the conditions and travel mode
+function weatherFactorChanges(weather, travelMode) {
+  if (!weather) return {};
+
+  const changes = {};
+  const effects = [CONDITION_EFFECTS[weather.condition], VISIBILITY_EFFECTS[weather.visibility]];
+  effects.filter(Boolean).forEach(effect => {
+    Object.entries(effect).forEach(([factor, delta]) => {
+      changes[factor] = (changes[factor] || 0) + delta;
+    });
+  });
+
+  const multipliers = MODE_MULTIPLIERS[travelMode] || {};
+  Object.keys(changes).forEach(factor => {
+    changes[factor] *= multipliers[factor] || 1;
+  });
+  return changes;
+}
+
+// Waterlogging spots within reach of the route; only looked up while it is raining
+async function findWaterlogging(routePoints, weather) {
+  if (!isWet(weather) || routePoints.length === 0) return [];
+
+  const candidates = await GeoFeature.find({
+    layer: 'waterlogging',
+    ...corridorFilter('location', routePoints, WATERLOGGING_RADIUS)
+  }).select('location name');
+
+  return candidates
+    .map(feature => ({ name: feature.name, location: toLatLng(feature.location.coordinates) }))
+    .filter(spot => distanceToPath(spot.location, routePoints) <= WATERLOGGING_RADIUS);
+}
+
+// Flag and penalise the segments passing waterlogging spots. Returns the roadCondition
+// change for the route, by the share of its length that is flagged.
+function flagWaterlogging(segments, routePoints, spots) {
+  if (spots.length === 0 || segments.length === 0) return 0;
+
+  let flaggedLength = 0;
+  segments.forEach(segment => {
+    const path = routePoints.slice(segment.startIndex, segment.endIndex + 1);
+    if (!spots.some(spot => distanceToPath(spot.location, path) <= WATERLOGGING_RADIUS)) return;
+
+    segment.waterlogging = true;
+    segment.safetyScore = Math.max(0, Math.round((segment.safetyScore - WATERLOGGED_SEGMENT_PENALTY) * 10) / 10);
+    flaggedLength += segment.endDistance - segment.startDistance;
+  });
+
+  const routeLength = segments[segments.length - 1].endDistance;
+  return routeLength > 0 ? -WATERLOGGED_ROUTE_PENALTY * flaggedLength / routeLength : 0;
+}
+
+module.exports = {
+  loadWeather,
+  weatherFactorChanges,
+  findWaterlogging,
+  flagWaterlogging
+};
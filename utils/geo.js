@@ -0,0 +1,179 @@
+// utils/geo.js - Small geometry helpers for working with { lat, lng } points
+
+const EARTH_RADIUS = 6371000; // in meters
+
+const toRadians = (deg) => deg * Math.PI / 180;
+
+// Great-circle distance between two points in meters
+function haversineDistance(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(h));
+}
+
+// Total length of a path of points in meters
+function pathLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += haversineDistance(points[i - 1], points[i]);
+  }
+  return length;
+}
+
+// Point a fraction of the way from a to b (fine for short, city-scale distances)
+function interpolate(a, b, fraction) {
+  return {
+    lat: a.lat + (b.lat - a.lat) * fraction,
+    lng: a.lng + (b.lng - a.lng) * fraction
+  };
+}
+
+// Initial bearing from a to b in degrees (0 = north, 90 = east)
+function bearing(a, b) {
+  const lat1 = toRadians(a.lat);
+  const lat2 = toRadians(b.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Point reached by travelling `meters` from a point along a bearing
+function offsetPoint(point, bearingDegrees, meters) {
+  const angular = meters / EARTH_RADIUS;
+  const theta = toRadians(bearingDegrees);
+  const lat1 = toRadians(point.lat);
+  const lng1 = toRadians(point.lng);
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(theta)
+  );
+  const lng2 = lng1 + Math.atan2(
+    Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+    Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  return { lat: lat2 * 180 / Math.PI, lng: lng2 * 180 / Math.PI };
+}
+
+// Index of the path point closest to a location
+function nearestPointIndex(points, location) {
+  let nearest = 0;
+  let nearestDistance = Infinity;
+  points.forEach((point, index) => {
+    const distance = haversineDistance(point, location);
+    if (distance < nearestDistance) {
+      nearest = index;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
+
+// Resample a path to a point every `spacing` meters along it, keeping both ends:
+// long segments gain points and dense stretches (every few meters, as decoded
+// polylines are) are thinned out
+function resamplePath(points, spacing) {
+  if (points.length === 0) return [];
+
+  const resampled = [points[0]];
+  let walked = 0; // meters along the path since the last point kept
+  for (let i = 1; i < points.length; i++) {
+    const length = haversineDistance(points[i - 1], points[i]);
+    let next = spacing - walked; // how far into this segment the next point falls
+    while (next <= length) {
+      resampled.push(interpolate(points[i - 1], points[i], next / length));
+      next += spacing;
+    }
+    walked = length - (next - spacing);
+  }
+  if (walked > 0) resampled.push(points[points.length - 1]);
+  return resampled;
+}
+
+// Distance in meters from a point to the segment a-b, on a local flat projection
+function distanceToSegment(point, a, b) {
+  const metersPerLat = EARTH_RADIUS * Math.PI / 180;
+  const metersPerLng = metersPerLat * Math.cos(toRadians(point.lat));
+  const ax = (a.lng - point.lng) * metersPerLng;
+  const ay = (a.lat - point.lat) * metersPerLat;
+  const bx = (b.lng - point.lng) * metersPerLng;
+  const by = (b.lat - point.lat) * metersPerLat;
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+  return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+// Shortest distance in meters from a point to a path of points
+function distanceToPath(point, path) {
+  if (path.length === 1) return haversineDistance(point, path[0]);
+
+  let shortest = Infinity;
+  for (let i = 1; i < path.length; i++) {
+    shortest = Math.min(shortest, distanceToSegment(point, path[i - 1], path[i]));
+  }
+  return shortest;
+}
+
+// GeoJSON polygon of the path's bounding box, padded by `padding` meters
+function boundingPolygon(points, padding = 0) {
+  const lats = points.map(p => p.lat);
+  const lngs = points.map(p => p.lng);
+  const padLat = padding / (EARTH_RADIUS * Math.PI / 180);
+  const padLng = padLat / Math.cos(toRadians((Math.min(...lats) + Math.max(...lats)) / 2));
+
+  const south = Math.min(...lats) - padLat;
+  const north = Math.max(...lats) + padLat;
+  const west = Math.min(...lngs) - padLng;
+  const east = Math.max(...lngs) + padLng;
+
+  return {
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+  };
+}
+
+// Mongo filter matching documents whose point `field` lies within `radius` meters
+// of a path. The path is covered by a chain of circles, so the result is one query.
+// Every point of the path is at most half a spacing from a center, so circles of
+// radius + spacing / 2 leave no gaps between samples, even at bends. The match is a
+// superset of the corridor; callers needing the exact edge check distanceToPath.
+function corridorFilter(field, points, radius) {
+  const spacing = radius;
+  const centers = resamplePath(points, spacing);
+  return {
+    $or: centers.map(point => ({
+      [field]: {
+        $geoWithin: {
+          $centerSphere: [[point.lng, point.lat], (radius + spacing / 2) / EARTH_RADIUS]
+        }
+      }
+    }))
+  };
+}
+
+// [row, col] of the grid cell of `size` degrees containing a point
+function gridCell(point, size) {
+  return [Math.floor(point.lat / size), Math.floor(point.lng / size)];
+}
+
+module.exports = {
+  EARTH_RADIUS,
+  haversineDistance,
+  pathLength,
+  interpolate,
+  bearing,
+  offsetPoint,
+  nearestPointIndex,
+  resamplePath,
+  distanceToSegment,
+  distanceToPath,
+  boundingPolygon,
+  corridorFilter,
+  gridCell
+};
@@ -0,0 +1,99 @@
+// utils/openingHours.js - Opening hours in a subset of the OpenStreetMap syntax
+//
+// Supported: "24/7", or rules separated by ";" such as "Mo-Fr 09:00-18:00; Sa 10:00-14:00",
+// "Mo,We 08:00-12:00,16:00-20:00", "Su off" and "18:00-02:00" (every day, past midnight).
+// Later rules replace earlier ones for the days they name. Parsed hours are stored as
+// { alwaysOpen, periods: [{ day, open, close }], offDays, text } with days 0 (Sunday)
+// to 6 and times in minutes after midnight; a close at or before the open time is the
+// next day. offDays are the days explicitly marked "off", closed even without periods.
+const { DEFAULT_TIME_ZONE, localTime } = require('./timeZone');
+
+const DAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+const DAY_MINUTES = 24 * 60;
+
+function parseTime(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+  if (!match) return null;
+
+  const minutes = parseInt(match[1]) * 60 + parseInt(match[2]);
+  return parseInt(match[2]) < 60 && minutes <= DAY_MINUTES ? minutes : null;
+}
+
+// "Mo-Fr,Su" -> [1, 2, 3, 4, 5, 0]; ranges may wrap ("Sa-Mo")
+function parseDays(text) {
+  const days = [];
+  for (const item of text.split(',')) {
+    const [from, to = from] = item.split('-').map(day => DAYS.indexOf(day));
+    if (from === -1 || to === -1) return null;
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.push(day);
+      if (day === to) break;
+    }
+  }
+  return days;
+}
+
+// Parse an opening hours string; returns null when it uses syntax we do not support
+function parseOpeningHours(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const value = text.trim();
+  if (value === '24/7') {
+    return { alwaysOpen: true, periods: [], offDays: [], text: value };
+  }
+
+  const byDay = new Map();
+  for (const rule of value.split(';').map(part => part.trim()).filter(Boolean)) {
+    const [first, ...rest] = rule.split(/\s+/);
+    const hasDays = /^[A-Z]/.test(first);
+    const days = hasDays ? parseDays(first) : [0, 1, 2, 3, 4, 5, 6];
+    const timesText = hasDays ? rest.join('') : [first, ...rest].join('');
+    if (!days || !timesText) return null;
+
+    const periods = [];
+    if (timesText !== 'off') {
+      for (const range of timesText.split(',')) {
+        const [open, close] = range.split('-').map(parseTime);
+        if (open == null || close == null) return null;
+        periods.push({ open, close });
+      }
+    }
+    days.forEach(day => byDay.set(day, periods.map(period => ({ day, ...period }))));
+  }
+
+  const periods = [...byDay.values()].flat();
+  const offDays = [...byDay.keys()].filter(day => byDay.get(day).length === 0).sort((a, b) => a - b);
+  const alwaysOpen = byDay.size === 7 &&
+    [...byDay.values()].every(list => list.length === 1 && list[0].open === 0 && list[0].close === DAY_MINUTES);
+
+  return { alwaysOpen, periods: alwaysOpen ? [] : periods, offDays, text: value };
+}
+
+// Whether parsed hours are open at `date`, read as local time in `timeZone`; null when unknown
+function isOpenAt(hours, date = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  if (!hours) return null;
+  if (hours.alwaysOpen) return true;
+
+  const { weekday: day, hour, minute } = localTime(date, timeZone);
+  const minutes = hour * 60 + minute;
+  const previousDay = (day + 6) % 7;
+
+  // With only off days ("Su off", "off"), other days are unknown
+  if (!hours.periods || hours.periods.length === 0) {
+    return hours.offDays && hours.offDays.includes(day) ? false : null;
+  }
+
+  return hours.periods.some(({ day: periodDay, open, close }) => {
+    const overnight = close <= open;
+    if (periodDay === day) {
+      return minutes >= open && (overnight || minutes < close);
+    }
+    // Still open from a period that started the day before
+    return periodDay === previousDay && overnight && minutes < close;
+  });
+}
+
+module.exports = {
+  parseOpeningHours,
+  isOpenAt
+};
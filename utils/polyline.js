@@ -0,0 +1,63 @@
+// utils/polyline.js - Encoded polyline helpers (Google polyline algorithm, precision 5)
+
+// Decode an encoded polyline into an array of { lat, lng } points
+function decodePolyline(encoded) {
+  const points = [];
+  let index = 0, lat = 0, lng = 0;
+
+  while (index < encoded.length) {
+    let b, shift = 0, result = 0;
+    do {
+      b = encoded.charCodeAt(index++) - 63;
+      result |= (b & 0x1f) << shift;
+      shift += 5;
+    } while (b >= 0x20);
+    const dlat = ((result & 1) ? ~(result >> 1) : (result >> 1));
+    lat += dlat;
+
+    shift = 0;
+    result = 0;
+    do {
+      b = encoded.charCodeAt(index++) - 63;
+      result |= (b & 0x1f) << shift;
+      shift += 5;
+    } while (b >= 0x20);
+    const dlng = ((result & 1) ? ~(result >> 1) : (result >> 1));
+    lng += dlng;
+
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+
+  return points;
+}
+
+// Encode an array of { lat, lng } points into a polyline string
+function encodePolyline(points) {
+  let encoded = '';
+  let prevLat = 0, prevLng = 0;
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : (value << 1);
+    let chunk = '';
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return chunk + String.fromCharCode(v + 63);
+  };
+
+  for (const point of points) {
+    const lat = Math.round(point.lat * 1e5);
+    const lng = Math.round(point.lng * 1e5);
+    encoded += encodeValue(lat - prevLat) + encodeValue(lng - prevLng);
+    prevLat = lat;
+    prevLng = lng;
+  }
+
+  return encoded;
+}
+
+module.exports = {
+  decodePolyline,
+  encodePolyline
+};
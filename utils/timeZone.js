@@ -0,0 +1,61 @@
+// utils/timeZone.js - Clock time in a time zone, whatever the server's own zone is
+//
+// Time-of-day buckets, report hours and opening hours are about the place being
+// travelled, not the server: a host on UTC would put 9 PM in Bengaluru at 3:30 PM.
+// Zones are IANA names such as "Asia/Kolkata"; DEFAULT_TIME_ZONE sets the fallback.
+
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'Asia/Kolkata';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Whether `timeZone` is a time zone name this runtime knows
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Local date and time of `date` in `timeZone`:
+// { year, month (1-12), day, weekday (0 = Sunday), hour (0-23), minute }
+function localTime(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute)
+  };
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  localTime
+};